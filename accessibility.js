@@ -0,0 +1,219 @@
+/**
+ * Accessibility metadata (EPUB Accessibility 1.1, schema.org)
+ *
+ * The European Accessibility Act asks for a book's accessibility to be
+ * described in its metadata:
+ * - EPUB 3: <meta property="schema:accessMode">textual</meta>, one element
+ *   per value, and dcterms:conformsTo / a11y:certifiedBy for the claim
+ *   (EPUB Accessibility 1.0 wrote the claim as <link rel="dcterms:conformsTo">)
+ * - EPUB 2: the same names as <meta name="schema:accessMode" content="textual"/>
+ * The values come from controlled vocabularies; accessModeSufficient values
+ * are comma-separated sets of access modes ("textual,visual").
+ * suggestAccessibility() proposes values from what scanAccessibility() in
+ * epub.js found in the content, for the user to review.
+ */
+
+export const ACCESS_MODES = [
+  "textual", "visual", "auditory", "tactile", "chartOnVisual", "chemOnVisual", "colorDependent",
+  "diagramOnTactile", "diagramOnVisual", "mathOnVisual", "musicOnVisual", "textOnVisual"
+];
+export const SUFFICIENT_ACCESS_MODES = ["textual", "visual", "auditory", "tactile"];
+export const ACCESSIBILITY_FEATURES = [
+  "tableOfContents", "readingOrder", "structuralNavigation", "pageNavigation", "pageBreakMarkers",
+  "index", "alternativeText", "longDescription", "describedMath", "MathML", "ChemML", "latex",
+  "ARIA", "annotations", "bookmarks", "displayTransformability", "highContrastDisplay", "largePrint",
+  "synchronizedAudioText", "ttsMarkup", "audioDescription", "captions", "transcript", "signLanguage",
+  "timingControl", "unlocked", "braille", "tactileGraphic", "rubyAnnotations", "horizontalWriting",
+  "verticalWriting", "none",
+  // Replaced by pageBreakMarkers, still common in the wild
+  "printPageNumbers"
+];
+export const ACCESSIBILITY_HAZARDS = [
+  "none", "noFlashingHazard", "noMotionSimulationHazard", "noSoundHazard",
+  "flashing", "motionSimulation", "sound",
+  "unknown", "unknownFlashingHazard", "unknownMotionSimulationHazard", "unknownSoundHazard"
+];
+export const CONFORMANCE_CLAIMS = [
+  "EPUB Accessibility 1.1 - WCAG 2.2 Level AA",
+  "EPUB Accessibility 1.1 - WCAG 2.1 Level AA",
+  "EPUB Accessibility 1.1 - WCAG 2.0 Level AA",
+  "EPUB Accessibility 1.1 - WCAG 2.1 Level A"
+];
+
+// Metadata field → property; lists have one element per value
+const LIST_PROPERTIES = {
+  accessMode: "schema:accessMode",
+  accessModeSufficient: "schema:accessModeSufficient",
+  accessibilityFeature: "schema:accessibilityFeature",
+  accessibilityHazard: "schema:accessibilityHazard"
+};
+const TEXT_PROPERTIES = {
+  accessibilitySummary: "schema:accessibilitySummary",
+  conformsTo: "dcterms:conformsTo",
+  certifiedBy: "a11y:certifiedBy"
+};
+export const ACCESSIBILITY_FIELDS = [...Object.keys(LIST_PROPERTIES), ...Object.keys(TEXT_PROPERTIES)];
+export const ACCESSIBILITY_PROPERTIES = [...Object.values(LIST_PROPERTIES), ...Object.values(TEXT_PROPERTIES)];
+
+const text = (m) => String(typeof m === "string" ? m : m?._ ?? "").trim();
+
+/**
+ * The elements that state `property`, either way it can be written
+ */
+function elementsOf(meta, property) {
+  const metas = (meta.meta || []).filter(m =>
+    (m?.$?.property === property && !m.$.refines) || m?.$?.name === property);
+  // EPUB Accessibility 1.0 conformance links
+  const links = property === "dcterms:conformsTo"
+    ? (meta.link || []).filter(l => (l?.$?.rel || "").split(/\s+/).includes(property))
+    : [];
+  return [...metas, ...links];
+}
+
+const valueOf = (element) => (element.$?.name ? element.$.content : element.$?.rel ? element.$.href : text(element)) ?? "";
+
+function valuesOf(meta, property) {
+  return [...new Set(elementsOf(meta, property).map(valueOf).map(v => v.trim()).filter(Boolean))];
+}
+
+/**
+ * Read the accessibility metadata: the list fields as arrays of terms, the
+ * summary, conformance claim and certifier as text
+ */
+export function readAccessibility(meta) {
+  const result = {};
+  for (const [field, property] of Object.entries(LIST_PROPERTIES)) {
+    result[field] = valuesOf(meta, property);
+  }
+  result.accessModeSufficient = result.accessModeSufficient.map(modes => modes.replace(/\s+/g, ""));
+  for (const [field, property] of Object.entries(TEXT_PROPERTIES)) {
+    result[field] = valuesOf(meta, property)[0] ?? "";
+  }
+  return result;
+}
+
+/**
+ * Put `elements` where the first of `replaced` was (or at the end), so a
+ * rewritten property stays in its place in the file
+ */
+function replaceElements(meta, replaced, elements) {
+  const metas = meta.meta || [];
+  const first = metas.findIndex(m => replaced.includes(m));
+  meta.meta = metas.filter(m => !replaced.includes(m));
+  meta.meta.splice(first === -1 ? meta.meta.length : first, 0, ...elements);
+  if (meta.link) meta.link = meta.link.filter(l => !replaced.includes(l));
+}
+
+/**
+ * Write the accessibility fields of `updates` (undefined ones are left
+ * alone). A property is only rewritten when its values changed, comparing
+ * lists as sets. EPUB 3 gets meta properties, and name/content fallbacks
+ * too when the book already carries them for that property; EPUB 2 only
+ * the name/content form. The certifier keeps its element, id and
+ * credential refinements when only its name changes.
+ */
+export function writeAccessibility(meta, updates, { isEpub2 }) {
+  meta.meta = meta.meta || [];
+  const element = (property, value, fallback) => fallback
+    ? { $: { name: property, content: value } }
+    : { $: { property }, _: value };
+  const write = (property, values) => {
+    const existing = elementsOf(meta, property);
+    const fallback = !isEpub2 && existing.some(e => e.$?.name);
+    replaceElements(meta, existing, [
+      ...values.map(value => element(property, value, isEpub2)),
+      ...(fallback ? values.map(value => element(property, value, true)) : [])
+    ]);
+  };
+
+  for (const [field, property] of Object.entries(LIST_PROPERTIES)) {
+    if (!Array.isArray(updates[field])) continue;
+    const values = [...new Set(updates[field].map(v => String(v).trim()).filter(Boolean))];
+    // "textual, visual" and "textual,visual" are the same set of modes
+    const current = valuesOf(meta, property).map(v => v.replace(/\s+/g, ""));
+    if (values.length === current.length && values.every(v => current.includes(v.replace(/\s+/g, "")))) continue;
+    write(property, values);
+  }
+
+  for (const [field, property] of Object.entries(TEXT_PROPERTIES)) {
+    if (updates[field] === undefined) continue;
+    const value = String(updates[field] ?? "").trim();
+    if (value === (valuesOf(meta, property)[0] ?? "")) continue;
+    const existing = elementsOf(meta, property);
+    const certifier = property === "a11y:certifiedBy" && existing.length === 1 && !existing[0].$?.name && existing[0];
+    if (certifier && value) {
+      certifier._ = value;
+    } else {
+      if (certifier?.$?.id) {
+        meta.meta = meta.meta.filter(m => m?.$?.refines !== `#${certifier.$.id}`);
+      }
+      write(property, value ? [value] : []);
+    }
+  }
+}
+
+const joinWords = (words) => words.length > 1
+  ? `${words.slice(0, -1).join(", ")} and ${words[words.length - 1]}`
+  : words[0] || "";
+
+/**
+ * Propose accessibility metadata from a content scan (see
+ * scanAccessibility() in epub.js)
+ * Returns the fields with suggested values and `notes` on what the user
+ * should check or fix. Hazards are only suggested as "none" when the book
+ * has no audio, video or GIF images; conformance is never suggested, as
+ * it takes an evaluation.
+ */
+export function suggestAccessibility(scan) {
+  const notes = [];
+  const hasImages = scan.images > 0;
+  const allAlt = hasImages && scan.imagesWithoutAlt === 0;
+
+  const accessMode = ["textual", ...(hasImages ? ["visual"] : [])];
+  const accessModeSufficient = [
+    ...(!hasImages || allAlt ? ["textual"] : []),
+    ...(hasImages ? ["textual,visual"] : [])
+  ];
+
+  const accessibilityFeature = [];
+  if (scan.tableOfContents) accessibilityFeature.push("tableOfContents");
+  accessibilityFeature.push("readingOrder");
+  if (scan.headings) accessibilityFeature.push("structuralNavigation");
+  if (scan.pageList) accessibilityFeature.push("pageNavigation");
+  if (scan.pageBreaks) accessibilityFeature.push("pageBreakMarkers");
+  if (allAlt) accessibilityFeature.push("alternativeText");
+  if (scan.math) accessibilityFeature.push("MathML");
+  if (scan.aria) accessibilityFeature.push("ARIA");
+
+  const accessibilityHazard = scan.audio || scan.video || scan.gifs ? [] : ["none"];
+  if (accessibilityHazard.length === 0) {
+    notes.push("The book has audio, video or GIF images; check them for flashing, motion and sound hazards");
+  }
+  if (scan.imagesWithoutAlt > 0) {
+    const pages = scan.pagesWithoutAlt.slice(0, 3).join(", ");
+    notes.push(`${scan.imagesWithoutAlt} image(s) have no alt text (${pages}${scan.pagesWithoutAlt.length > 3 ? ", …" : ""}); add it, or alt="" for decorative images`);
+  }
+  if (!scan.tableOfContents) {
+    notes.push("The book has no navigation document or NCX table of contents");
+  }
+
+  const navigation = [
+    scan.tableOfContents && "a table of contents",
+    scan.headings && "structured headings",
+    scan.pageList && "page navigation"
+  ].filter(Boolean);
+  const sentences = [
+    navigation.length > 0 ? `This publication has ${joinWords(navigation)}.` : "",
+    allAlt ? "All images have alternative text." : hasImages ? "Some images have no text alternative." : "It has no images.",
+    accessibilityHazard.length > 0 ? "It has no known hazards." : ""
+  ];
+
+  return {
+    accessMode,
+    accessModeSufficient,
+    accessibilityFeature,
+    accessibilityHazard,
+    accessibilitySummary: sentences.filter(Boolean).join(" "),
+    notes
+  };
+}
@@ -0,0 +1,208 @@
+/**
+ * Custom metadata: the <meta> elements no other editor covers
+ *
+ * Vendors keep their own tags in the package (calibre:timestamp,
+ * calibre:rating, ibooks:version, kindle:...), and refinements can say
+ * things this editor has no field for. They come in two forms:
+ * - EPUB 3: <meta property="ibooks:version" refines="#id" scheme="...">value</meta>
+ * - EPUB 2 (and legacy tags in EPUB 3): <meta name="calibre:rating" content="8"/>
+ * The elements the title, author, identifier, series, accessibility and
+ * rendition editors write are theirs and left out. Each entry keeps its
+ * position in the list it was read from, so edits go back into the same
+ * element. In EPUB 3 a property's prefix must be declared on <package>;
+ * the well-known vendor prefixes are declared when first used and dropped
+ * when nothing uses them any more.
+ */
+
+import { ACCESSIBILITY_PROPERTIES } from "./accessibility.js";
+import { RENDITION_PROPERTIES, declaredPrefix } from "./rendition.js";
+
+// Prefixes EPUB 3 reading systems know without a declaration
+export const RESERVED_PREFIXES = ["a11y", "dcterms", "marc", "media", "msv", "onix", "prism", "rendition", "schema", "xsd"];
+// Vendor vocabularies that can be declared without asking
+export const KNOWN_PREFIXES = {
+  calibre: "https://calibre-ebook.com",
+  ibooks: "http://vocabulary.itunes.apple.com/rdf/ibooks/vocabulary-extensions-1.0/",
+  se: "https://standardebooks.org/vocab/1.0"
+};
+
+// Written by the other editors (and dcterms:modified on every save)
+const MANAGED_PROPERTIES = new Set([
+  "dcterms:modified", "title-type", "display-seq", "file-as", "role", "alternate-script", "identifier-type",
+  "belongs-to-collection", "collection-type", "group-position",
+  ...ACCESSIBILITY_PROPERTIES, ...RENDITION_PROPERTIES
+]);
+const MANAGED_NAMES = new Set([
+  "cover", "calibre:series", "calibre:series_index", "calibre:title_sort",
+  ...ACCESSIBILITY_PROPERTIES
+]);
+
+// Attributes whose values are prefixed properties
+const PREFIXED_ATTRIBUTES = ["property", "scheme", "rel", "properties"];
+
+const text = (m) => String(typeof m === "string" ? m : m?._ ?? "").trim();
+
+/**
+ * Whether another editor writes this property ("property" form) or name
+ * ("name" form)
+ */
+export function isManagedMeta({ form, property }) {
+  return form === "name" ? MANAGED_NAMES.has(property) : MANAGED_PROPERTIES.has(property);
+}
+
+/**
+ * An element as { form, property, refines, scheme, id, value }
+ */
+function describe(element) {
+  const $ = element.$;
+  return $.property === undefined
+    ? { form: "name", property: $.name, refines: "", scheme: $.scheme || "", id: $.id || "", value: String($.content ?? "").trim() }
+    : { form: "property", property: $.property, refines: $.refines || "", scheme: $.scheme || "", id: $.id || "", value: text(element) };
+}
+
+/**
+ * The <meta> elements of the package that no other editor covers
+ */
+function customElements(meta) {
+  const metas = meta.meta || [];
+  // A collection's identifier is a dcterms:identifier refinement
+  const collections = new Set(metas
+    .filter(m => m?.$?.property === "belongs-to-collection" && m.$.id)
+    .map(m => `#${m.$.id}`));
+  return metas.filter(m => (m?.$?.property || m?.$?.name) &&
+    !isManagedMeta(describe(m)) &&
+    !(m.$.property === "dcterms:identifier" && collections.has(m.$.refines)));
+}
+
+/**
+ * Read the custom metadata in document order; `index` ties each entry to
+ * its element for writeCustomMeta()
+ */
+export function readCustomMeta(meta) {
+  return customElements(meta).map((element, index) => ({ index, ...describe(element) }));
+}
+
+/**
+ * Write an entry's form, property, refines, scheme and value into an
+ * element, leaving its id and other attributes alone
+ */
+function update(element, entry) {
+  const $ = element.$;
+  const set = (name, value) => {
+    if (value) $[name] = value;
+    else delete $[name];
+  };
+  if (entry.form === "name") {
+    delete $.property;
+    delete $.refines;
+    delete element._;
+    set("name", entry.property);
+    $.content = entry.value;
+  } else {
+    delete $.name;
+    delete $.content;
+    set("property", entry.property);
+    set("refines", entry.refines);
+    element._ = entry.value;
+  }
+  set("scheme", entry.scheme);
+  return element;
+}
+
+/**
+ * The prefixes custom EPUB 3 metadata can use: the reserved ones, the known
+ * vendor ones (declared when first used) and the ones the package declares
+ */
+export function availablePrefixes(pkg) {
+  const declared = [...String(pkg.$?.prefix || "").matchAll(/(\S+):\s+\S+/g)].map(([, name]) => name);
+  return [...new Set([...RESERVED_PREFIXES, ...Object.keys(KNOWN_PREFIXES), ...declared])];
+}
+
+/**
+ * The prefixes used in property-like attributes anywhere under `node`
+ */
+export function usedPrefixes(node, found = new Set()) {
+  if (Array.isArray(node)) {
+    node.forEach(child => usedPrefixes(child, found));
+  } else if (node && typeof node === "object") {
+    for (const name of PREFIXED_ATTRIBUTES) {
+      for (const value of String(node.$?.[name] ?? "").split(/\s+/)) {
+        // URLs in rel aren't prefixed
+        const prefix = value.match(/^([A-Za-z_][\w.-]*):(?!\/\/)/)?.[1];
+        if (prefix) found.add(prefix);
+      }
+    }
+    for (const [key, child] of Object.entries(node)) {
+      if (key !== "$") usedPrefixes(child, found);
+    }
+  }
+  return found;
+}
+
+/**
+ * Declare the known vendor prefixes the package now uses and drop the
+ * declarations of prefixes it no longer uses
+ */
+function syncPrefixes(pkg, before) {
+  const used = usedPrefixes(pkg);
+  const setPrefix = (value) => {
+    pkg.$ = pkg.$ || {};
+    if (value) pkg.$.prefix = value;
+    else delete pkg.$.prefix;
+  };
+
+  for (const name of used) {
+    if (RESERVED_PREFIXES.includes(name) || !KNOWN_PREFIXES[name] || declaredPrefix(pkg, name)) continue;
+    setPrefix(`${String(pkg.$?.prefix || "").trim()} ${name}: ${KNOWN_PREFIXES[name]}`.trim());
+  }
+  for (const name of before) {
+    if (used.has(name) || RESERVED_PREFIXES.includes(name) || !declaredPrefix(pkg, name)) continue;
+    const pattern = new RegExp(`(^|\\s+)${name.replace(/[.-]/g, "\\$&")}:\\s+\\S+`);
+    setPrefix(String(pkg.$.prefix).replace(pattern, "").trim());
+  }
+}
+
+/**
+ * Write the custom metadata: `entries` is the whole list as the editor
+ * has it ({ index, form, property, refines, scheme, value }). Entries with
+ * the index of an element update it in place, the others are added at the
+ * end, and elements no entry points at are removed with their
+ * refinements. EPUB 2 gets name/content elements only; in EPUB 3 the
+ * entry's form decides, and the prefix declarations follow the change.
+ * Nothing is written when the list is as it was.
+ */
+export function writeCustomMeta(pkg, entries, { isEpub2 }) {
+  const meta = pkg.metadata[0];
+  meta.meta = meta.meta || [];
+  const elements = customElements(meta);
+  const key = (entry) => [entry.form, entry.property, entry.refines, entry.scheme, entry.value].join("\u0000");
+  const current = elements.map(describe);
+  if (entries.length === current.length && entries.every((entry, i) => entry.index === i && key(entry) === key(current[i]))) {
+    return;
+  }
+
+  const prefixesBefore = usedPrefixes(pkg);
+  const kept = new Set();
+  const added = [];
+  for (const entry of entries) {
+    const existing = Number.isInteger(entry.index) ? elements[entry.index] : undefined;
+    // EPUB 2 has no refines or property attributes
+    const form = isEpub2 || entry.form === "name" ? "name" : "property";
+    const written = { ...entry, form, refines: form === "name" ? "" : entry.refines };
+    if (existing && !kept.has(existing)) {
+      kept.add(existing);
+      if (key(written) !== key(describe(existing))) update(existing, written);
+    } else {
+      added.push(update({ $: {} }, written));
+    }
+  }
+
+  const removed = elements.filter(element => !kept.has(element));
+  const orphaned = new Set(removed.filter(element => element.$.id).map(element => `#${element.$.id}`));
+  meta.meta = [
+    ...meta.meta.filter(m => !removed.includes(m) && !orphaned.has(m?.$?.refines)),
+    ...added
+  ];
+
+  if (!isEpub2) syncPrefixes(pkg, prefixesBefore);
+}
@@ -1,7 +1,17 @@
 import JSZip from "jszip";
-import { parseStringPromise, Builder } from "xml2js";
 import path from "path";
 import sharp from "sharp";
+import { parseXml, serializeXml, escapeAttr, XmlLimitError } from "./xml.js";
+import { listEntries, inflateEntry, writeZip } from "./zip.js";
+import { obfuscationKeys, rekeyObfuscatedResources, isObfuscation } from "./obfuscation.js";
+import { readSeries, writeSeries, defaultSeriesFormats } from "./series.js";
+import { fileAsName } from "./namesort.js";
+import { titleSortName } from "./titlesort.js";
+import { readIdentifiers, writeIdentifiers } from "./identifiers.js";
+import { cleanISBN, looksLikeISBN, parseISBN, hyphenateISBN, describeISBN } from "./isbn.js";
+import { readAccessibility, writeAccessibility, ACCESSIBILITY_FIELDS } from "./accessibility.js";
+import { writeRendition, writeDisplayOptions, RENDITION_FIELDS, DISPLAY_OPTION_FIELDS } from "./rendition.js";
+import { readCustomMeta, writeCustomMeta } from "./custommeta.js";
 
 /**
  * Validate and sanitize metadata string input
@@ -120,37 +130,448 @@ export function normalizeLanguageCode(code) {
   return { code: normalized };
 }
 
+/**
+ * Caps on what an uploaded archive may contain, so a hostile file (zip bomb,
+ * huge entry count, entity expansion, deep nesting) can't tie up the server
+ */
+const LIMITS = {
+  maxEntries: 10000,
+  maxUncompressedSize: 256 * 1024 * 1024, // 256 MB
+  // Deflate can't do much better than 1032:1; a header declaring more is a bomb
+  maxCompressionRatio: 1000,
+  maxXmlSize: 8 * 1024 * 1024,
+  maxXmlDepth: 100
+};
+
+export const XML_LIMITS = {
+  maxSize: LIMITS.maxXmlSize,
+  maxDepth: LIMITS.maxXmlDepth,
+  // OEB 1.x packages reference a DTD; only inline entity declarations are refused
+  doctype: "external"
+};
+
+const OPF_NS = "http://www.idpf.org/2007/opf";
+const OEB_NS = "http://openebook.org/namespaces/oeb-package/1.0/";
+const DC_NS = "http://purl.org/dc/elements/1.1/";
+const DC_LEGACY_NS = "http://purl.org/dc/elements/1.0/";
+const DCTERMS_NS = "http://purl.org/dc/terms/";
+
+/**
+ * OPF names are resolved by namespace URI, not by literal prefix, so
+ * `<opf:package>`, `<d:title xmlns:d="...dc/elements/1.1/">` or
+ * `<dcterms:title>` come out as `package` and `dc:title` like everywhere else.
+ * The legacy OEB `<dc-metadata>`/`<x-metadata>` wrappers are flattened into
+ * `<metadata>` (OEB also capitalises element names: `dc:Title`).
+ */
+const OPF_XML_OPTIONS = {
+  elements: {
+    [OPF_NS]: "",
+    [OEB_NS]: "",
+    [DC_NS]: "dc",
+    [DC_LEGACY_NS]: "dc",
+    [DCTERMS_NS]: "dc"
+  },
+  attributes: {
+    [OPF_NS]: "opf",
+    [OEB_NS]: "opf"
+  },
+  lowercase: [DC_NS, DC_LEGACY_NS],
+  flatten: ["dc-metadata", "x-metadata"],
+  ...XML_LIMITS
+};
+
+const ENCRYPTION_XML_OPTIONS = {
+  elements: {
+    "urn:oasis:names:tc:opendocument:xmlns:container": "",
+    "http://www.w3.org/2001/04/xmlenc#": "enc"
+  },
+  ...XML_LIMITS,
+  doctype: false
+};
+
+const CONTAINER_XML_OPTIONS = {
+  elements: { "urn:oasis:names:tc:opendocument:xmlns:container": "" },
+  attributes: { "http://www.idpf.org/2013/rendition": "rendition" },
+  ...XML_LIMITS,
+  doctype: false
+};
+
+const NCX_XML_OPTIONS = {
+  elements: { "http://www.daisy.org/z3986/2005/ncx/": "" },
+  ...XML_LIMITS
+};
+
+const XHTML_XML_OPTIONS = {
+  elements: {
+    "http://www.w3.org/1999/xhtml": "",
+    "http://www.w3.org/2000/svg": "svg"
+  },
+  attributes: {
+    "http://www.idpf.org/2007/ops": "epub",
+    "http://www.w3.org/1999/xlink": "xlink"
+  },
+  ...XML_LIMITS
+};
+
+/**
+ * Machine-readable reasons an EPUB could not be read
+ */
+export const EPUB_ERRORS = {
+  NOT_A_ZIP: 'not_a_zip',
+  MISSING_CONTAINER: 'missing_container',
+  INVALID_CONTAINER: 'invalid_container',
+  MISSING_OPF: 'missing_opf',
+  INVALID_OPF: 'invalid_opf',
+  MISSING_METADATA: 'missing_metadata',
+  TOO_LARGE: 'too_large',
+  TOO_MANY_ENTRIES: 'too_many_entries',
+  UNSAFE_PATH: 'unsafe_path',
+  XML_LIMIT: 'xml_limit',
+  OBFUSCATION_KEY: 'obfuscation_key',
+  DRM_PROTECTED: 'drm_protected'
+};
+
+/**
+ * Error thrown by readEpub for files that are broken rather than for bugs here.
+ * `message` is meant for the user; `details` carries the underlying cause.
+ */
+export class EpubError extends Error {
+  constructor(code, message, details) {
+    super(message);
+    this.name = "EpubError";
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Entry names that would escape the archive root if extracted ("zip-slip")
+ */
+function isUnsafeEntryName(name) {
+  return name.startsWith("/") ||
+    name.startsWith("\\") ||
+    /^[a-zA-Z]:/.test(name) ||
+    name.includes("\0") ||
+    name.split(/[\\/]/).includes("..");
+}
+
+const checkedArchives = new WeakSet();
+
+// What each JSZip instance from readEpub() was loaded from, so writeEpub()
+// can tell untouched entries (same ZipObject as after loading) from edited ones
+const loadedArchives = new WeakMap();
+
+/**
+ * Enforce LIMITS on the raw archive before JSZip gets to see it.
+ * The declared sizes are checked first; then every entry is test-inflated,
+ * one at a time and off the event loop, with its declared size as a hard
+ * ceiling, so a header that understates the real size can't be used to
+ * exhaust memory. An upload is checked once, not on every re-read.
+ */
+async function checkArchive(buffer) {
+  // Sessions re-read the same upload for every preview and download
+  if (checkedArchives.has(buffer)) return;
+
+  let entries;
+  try {
+    entries = listEntries(buffer);
+  } catch (err) {
+    if (err.code === "ERR_ZIP64") {
+      throw new EpubError(
+        EPUB_ERRORS.TOO_LARGE,
+        "The archive uses ZIP64, which only very large archives need. EPUB files are never that big.",
+        err.message
+      );
+    }
+    throw new EpubError(
+      EPUB_ERRORS.NOT_A_ZIP,
+      "The file is not a valid ZIP archive. It is probably incomplete or damaged - try downloading it again.",
+      err.message
+    );
+  }
+
+  if (entries.length > LIMITS.maxEntries) {
+    throw new EpubError(
+      EPUB_ERRORS.TOO_MANY_ENTRIES,
+      `The archive contains ${entries.length} files; at most ${LIMITS.maxEntries} are accepted.`,
+      `${entries.length} entries`
+    );
+  }
+
+  const unsafe = entries.find(entry => isUnsafeEntryName(entry.name));
+  if (unsafe) {
+    throw new EpubError(
+      EPUB_ERRORS.UNSAFE_PATH,
+      "The archive contains a file name that points outside the book (absolute path or \"..\"). It is not a normal EPUB and was rejected.",
+      unsafe.name
+    );
+  }
+
+  const totalSize = entries.reduce((sum, entry) => sum + entry.size, 0);
+  if (totalSize > LIMITS.maxUncompressedSize) {
+    throw new EpubError(
+      EPUB_ERRORS.TOO_LARGE,
+      `The EPUB unpacks to ${Math.round(totalSize / 1024 / 1024)} MB; at most ${LIMITS.maxUncompressedSize / 1024 / 1024} MB is accepted.`,
+      `${totalSize} bytes uncompressed`
+    );
+  }
+
+  const bomb = entries.find(entry => entry.size > entry.compressedSize * LIMITS.maxCompressionRatio);
+  if (bomb) {
+    throw new EpubError(
+      EPUB_ERRORS.TOO_LARGE,
+      "A file in the archive claims to unpack to far more data than compression allows (a \"zip bomb\"). It was rejected.",
+      bomb.name
+    );
+  }
+
+  for (const entry of entries) {
+    if (entry.name.endsWith("/")) continue;
+    try {
+      await inflateEntry(buffer, entry);
+    } catch (err) {
+      if (err.code === "ERR_BUFFER_TOO_LARGE") {
+        throw new EpubError(
+          EPUB_ERRORS.TOO_LARGE,
+          "A file in the archive unpacks to more data than its header declares (a \"zip bomb\"). It was rejected.",
+          entry.name
+        );
+      }
+      throw new EpubError(
+        EPUB_ERRORS.NOT_A_ZIP,
+        "The ZIP archive is damaged. Try downloading the file again.",
+        `${entry.name}: ${err.message}`
+      );
+    }
+  }
+  checkedArchives.add(buffer);
+}
+
+/**
+ * Parse XML from the archive, mapping limit violations to EpubError
+ */
+function parseArchiveXml(xml, options, entryPath, invalid) {
+  try {
+    return parseXml(xml, options);
+  } catch (err) {
+    if (err instanceof XmlLimitError) {
+      throw new EpubError(
+        EPUB_ERRORS.XML_LIMIT,
+        `${entryPath} was rejected: ${err.message}.`,
+        `${entryPath}: ${err.message}`
+      );
+    }
+    throw new EpubError(invalid.code, invalid.message, `${entryPath}: ${err.message}`);
+  }
+}
+
+/**
+ * List the package documents (renditions) declared in container.xml
+ * Returns [{ path, layout, label, media, language }]; the first one is the
+ * default rendition. Throws EpubError when there is none.
+ */
+async function readRootfiles(zip) {
+  const containerFile = zip.file("META-INF/container.xml");
+  if (!containerFile) {
+    throw new EpubError(
+      EPUB_ERRORS.MISSING_CONTAINER,
+      "The EPUB has no META-INF/container.xml, so its package document cannot be located. Repair it with an EPUB editor such as Sigil or Calibre.",
+      "META-INF/container.xml not found in archive"
+    );
+  }
+  const containerXml = await containerFile.async("string");
+
+  const container = parseArchiveXml(containerXml, CONTAINER_XML_OPTIONS, "META-INF/container.xml", {
+    code: EPUB_ERRORS.INVALID_CONTAINER,
+    message: "META-INF/container.xml is not well-formed XML. Repair it with an EPUB editor such as Sigil or Calibre."
+  });
+
+  // Other rootfile media types (e.g. PDF renditions) aren't OPFs
+  const rootfiles = (container.container?.rootfiles?.[0]?.rootfile || [])
+    .map(rootfile => rootfile?.$ || {})
+    .filter(attrs => attrs["full-path"] &&
+      (!attrs["media-type"] || attrs["media-type"] === "application/oebps-package+xml"))
+    .map(attrs => ({
+      path: attrs["full-path"],
+      layout: attrs["rendition:layout"],
+      label: attrs["rendition:label"],
+      media: attrs["rendition:media"],
+      language: attrs["rendition:language"]
+    }));
+
+  if (rootfiles.length === 0) {
+    throw new EpubError(
+      EPUB_ERRORS.INVALID_CONTAINER,
+      "META-INF/container.xml does not point to a package document. Repair it with an EPUB editor such as Sigil or Calibre.",
+      "No <rootfile full-path=\"...\"> in container.xml"
+    );
+  }
+  return rootfiles;
+}
+
+/**
+ * Load and parse one package document (OPF)
+ */
+async function readPackage(zip, opfPath) {
+  const opfFile = zip.file(opfPath);
+  if (!opfFile) {
+    throw new EpubError(
+      EPUB_ERRORS.MISSING_OPF,
+      "The package document listed in container.xml is missing from the archive. Repair it with an EPUB editor such as Sigil or Calibre.",
+      `${opfPath} not found in archive`
+    );
+  }
+
+  return parsePackage(await opfFile.async("string"), opfPath);
+}
+
+/**
+ * Parse package document source, checking it has the <package> and
+ * <metadata> everything else relies on
+ * Throws EpubError when it can't be used.
+ */
+export function parsePackage(opfXml, opfPath) {
+  // Parsed with source positions so writeEpub can patch only what changed
+  const opf = parseArchiveXml(opfXml, OPF_XML_OPTIONS, opfPath, {
+    code: EPUB_ERRORS.INVALID_OPF,
+    message: "The package document (OPF) is not well-formed XML. Repair it with an EPUB editor such as Sigil or Calibre."
+  });
+  if (!opf.package) {
+    throw new EpubError(
+      EPUB_ERRORS.INVALID_OPF,
+      "The package document (OPF) has no <package> root element. Repair it with an EPUB editor such as Sigil or Calibre.",
+      `${opfPath}: root element is <${Object.keys(opf)[0]}>`
+    );
+  }
+  if (!opf.package.metadata?.[0] || typeof opf.package.metadata[0] !== "object") {
+    throw new EpubError(
+      EPUB_ERRORS.MISSING_METADATA,
+      "The package document (OPF) has a missing or empty <metadata> section. Repair it with an EPUB editor such as Sigil or Calibre.",
+      `${opfPath}: <metadata> not found`
+    );
+  }
+  return opf;
+}
+
 /**
  * Read EPUB + OPF
+ * options.rendition picks which rootfile to load (default 0, the default
+ * rendition); all of them are listed in `renditions`.
+ * Throws EpubError when the file is not a readable EPUB or breaks LIMITS
  */
-export async function readEpub(buffer) {
-  const zip = await JSZip.loadAsync(buffer);
+export async function readEpub(buffer, options = {}) {
+  await checkArchive(buffer);
 
-  const containerXml = await zip
-    .file("META-INF/container.xml")
-    .async("string");
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch (err) {
+    throw new EpubError(
+      EPUB_ERRORS.NOT_A_ZIP,
+      "The file is not a valid ZIP archive. It is probably incomplete or damaged - try downloading it again.",
+      err.message
+    );
+  }
+  loadedArchives.set(zip, { buffer, files: new Map(Object.entries(zip.files)) });
 
-  const container = await parseStringPromise(containerXml);
-  const opfPath =
-    container.container.rootfiles[0].rootfile[0].$["full-path"];
+  const renditions = await readRootfiles(zip);
+  const rendition = options.rendition ?? 0;
+  if (!renditions[rendition]) {
+    throw new RangeError(`No rendition ${rendition}; the book has ${renditions.length}`);
+  }
+  const opfPath = renditions[rendition].path;
+  const opf = await readPackage(zip, opfPath);
 
-  const opfXml = await zip.file(opfPath).async("string");
-  const opf = await parseStringPromise(opfXml);
+  // A broken encryption.xml is reported by the validator, not fatal here
+  let encryption;
+  try {
+    encryption = await readEncryption(zip);
+  } catch {
+    encryption = [];
+  }
 
   return {
     zip,
     opfPath,
     opf,
-    meta: opf.package.metadata[0]
+    meta: opf.package.metadata[0],
+    renditions,
+    rendition,
+    encryption,
+    drm: await detectDrm(zip, encryption)
   };
 }
 
+/**
+ * Detect DRM schemes by the files they add to the container
+ * Returns { scheme, name, details } or null for unprotected books.
+ * Font obfuscation alone is not DRM; any other encrypted resource is.
+ */
+export async function detectDrm(zip, encryption) {
+  if (zip.file("META-INF/license.lcpl")) {
+    return { scheme: "readium-lcp", name: "Readium LCP", details: "META-INF/license.lcpl" };
+  }
+  if (zip.file("META-INF/sinf.xml")) {
+    return { scheme: "apple-fairplay", name: "Apple FairPlay", details: "META-INF/sinf.xml" };
+  }
+  const rights = zip.file("META-INF/rights.xml");
+  if (rights) {
+    const xml = await rights.async("string");
+    return xml.includes("http://ns.adobe.com/adept")
+      ? { scheme: "adobe-adept", name: "Adobe ADEPT", details: "META-INF/rights.xml" }
+      : { scheme: "unknown", name: "an unknown DRM scheme", details: "META-INF/rights.xml" };
+  }
+  const encrypted = encryption.filter(resource => !isObfuscation(resource.algorithm));
+  if (encrypted.length > 0) {
+    return {
+      scheme: "unknown",
+      name: "an unknown DRM scheme",
+      details: `${encrypted.length} encrypted resource(s) in META-INF/encryption.xml, e.g. ${encrypted[0].path}`
+    };
+  }
+  return null;
+}
+
+/**
+ * List the resources declared in META-INF/encryption.xml
+ * Returns [{ path, algorithm }] with paths resolved to zip entry names;
+ * [] when the file is absent, throws when it can't be parsed
+ */
+export async function readEncryption(zip) {
+  const file = zip.file("META-INF/encryption.xml");
+  if (!file) return [];
+
+  const doc = parseXml(await file.async("string"), ENCRYPTION_XML_OPTIONS);
+  const encrypted = doc.encryption?.["enc:EncryptedData"] || [];
+
+  return encrypted.map(data => {
+    const algorithm = data["enc:EncryptionMethod"]?.[0]?.$?.Algorithm || "";
+    let uri = data["enc:CipherData"]?.[0]?.["enc:CipherReference"]?.[0]?.$?.URI || "";
+    try {
+      uri = decodeURIComponent(uri);
+    } catch {
+      // Malformed percent-escapes: use the URI as written
+    }
+    // CipherReference URIs are relative to the container root
+    return { path: uri.replace(/^\//, ""), algorithm };
+  }).filter(resource => resource.path);
+}
+
+/**
+ * Resources that use font obfuscation (IDPF or Adobe)
+ */
+export function obfuscatedResources(encryption) {
+  return encryption.filter(resource => isObfuscation(resource.algorithm));
+}
+
 /**
  * Extract commonly used EPUB metadata
  * Now treats authors as arrays like contributors
  * Supports multiple titles with title-type refinements (EPUB 3)
+ * `uniqueIdentifier` is the package's unique-identifier attribute, which
+ * marks the unique one among the identifiers
  */
-export function extractMetadata(meta) {
+export function extractMetadata(meta, uniqueIdentifier) {
   // Elements parsed with attributes come back as objects ({ _, $ });
   // coerce to string so self-closing/attribute-only elements don't leak objects
   const get = (k) => {
@@ -159,30 +580,34 @@ export function extractMetadata(meta) {
     return typeof v?._ === 'string' ? v._ : "";
   };
 
-  const getMetaProp = (prop) =>
-    meta.meta?.find(m => m.$?.property === prop)?._ ?? "";
-  
+  // EPUB 3 <meta refines="#id" property="..."> value, or null
+  const refinementOf = (id, property) => {
+    const refine = id && meta.meta?.find(m =>
+      m.$?.refines === `#${id}` && m.$?.property === property
+    );
+    return refine ? String(refine._ ?? refine).trim() : null;
+  };
+
   // Extract titles - look for main title and subtitle using EPUB 3 refinements
   let mainTitle = "";
   let subtitle = "";
+  const titles = [];
   
   if (meta["dc:title"]) {
-    const titles = Array.isArray(meta["dc:title"]) ? meta["dc:title"] : [meta["dc:title"]];
+    const titleElements = Array.isArray(meta["dc:title"]) ? meta["dc:title"] : [meta["dc:title"]];
     
-    for (const t of titles) {
+    for (const t of titleElements) {
       const titleValue = t._ ?? t;
-      const titleId = t.$?.id;
+      const refinement = (property) => refinementOf(t.$?.id, property);
       
       // Check for title-type refinement
-      let titleType = null;
-      if (titleId && meta.meta) {
-        const typeRefine = meta.meta.find(m => 
-          m.$?.refines === `#${titleId}` && m.$?.property === "title-type"
-        );
-        if (typeRefine) {
-          titleType = typeRefine._ ?? typeRefine;
-        }
-      }
+      const titleType = refinement("title-type");
+      titles.push({
+        value: textOf(t),
+        type: titleType,
+        fileAs: refinement("file-as"),
+        displaySeq: refinement("display-seq")
+      });
       
       if (titleType === "subtitle") {
         subtitle = titleValue;
@@ -193,33 +618,25 @@ export function extractMetadata(meta) {
     }
   }
   
-  // Extract authors as array (like contributors)
-  const authors = meta["dc:creator"]?.map(c => {
-    const authorObj = {
-      name: c._ ?? c,
-      role: c.$?.["opf:role"] || "aut",
-      fileAs: null
-    };
-    
-    // Look for file-as refinement
+  // Extract authors and contributors (translators, illustrators, editors...)
+  // Role and file-as come from EPUB 3 refinements or EPUB 2 opf: attributes;
+  // a creator without a role is an author, a contributor without one a
+  // contributor. Only EPUB 3 has alternate-script names.
+  const person = (c, defaultRole) => {
     const id = c.$?.id;
-    if (id && meta.meta) {
-      const fileAs = meta.meta.find(m => 
-        m.$?.refines === `#${id}` && m.$?.property === "file-as"
-      );
-      if (fileAs) {
-        authorObj.fileAs = fileAs._ ?? fileAs;
-      }
-    }
-    
-    return authorObj;
-  }) ?? [];
-  
-  // Extract contributors (editors, translators, illustrators)
-  const contributors = meta["dc:contributor"]?.map(c => ({
-    name: c._ ?? c,
-    role: c.$?.["opf:role"] || "contributor"
-  })) ?? [];
+    const alternate = id && meta.meta?.find(m =>
+      m.$?.refines === `#${id}` && m.$?.property === "alternate-script"
+    );
+    return {
+      name: textOf(c),
+      role: refinementOf(id, "role") || c.$?.["opf:role"] || defaultRole,
+      fileAs: refinementOf(id, "file-as") || c.$?.["opf:file-as"] || null,
+      alternateScript: alternate ? textOf(alternate).trim() : null,
+      alternateScriptLang: alternate?.$?.["xml:lang"] || null
+    };
+  };
+  const authors = meta["dc:creator"]?.map(c => person(c, "aut")) ?? [];
+  const contributors = meta["dc:contributor"]?.map(c => person(c, "ctb")) ?? [];
 
   // Extract ISBN - look through all identifiers for one that looks like an ISBN
   let identifier = "";
@@ -233,9 +650,6 @@ export function extractMetadata(meta) {
       const scheme = id.$?.["opf:scheme"];
       const idAttr = id.$?.id;
       
-      // Clean the value for validation (remove urn:isbn: prefix if present)
-      let cleanValue = value.replace(/^urn:isbn:/i, '').replace(/[-\s]/g, '');
-      
       // Check for EPUB 3 identifier-type refinement
       let isISBNRefined = false;
       if (idAttr && meta.meta) {
@@ -248,12 +662,7 @@ export function extractMetadata(meta) {
         }
       }
       
-      // ISBN-10: 10 digits (last can be X)
-      // ISBN-13: 13 digits starting with 978 or 979
-      const isISBN10 = /^\d{9}[\dX]$/i.test(cleanValue);
-      const isISBN13 = /^(978|979)\d{10}$/.test(cleanValue);
-      
-      if (scheme === "ISBN" || isISBNRefined || isISBN10 || isISBN13) {
+      if (scheme === "ISBN" || isISBNRefined || looksLikeISBN(value)) {
         // Return original value (possibly with dashes) but strip urn:isbn: prefix
         identifier = value.replace(/^urn:isbn:/i, '');
         break;
@@ -265,9 +674,16 @@ export function extractMetadata(meta) {
   const rawLanguage = get("dc:language");
   const langResult = normalizeLanguageCode(rawLanguage);
 
+  const series = readSeries(meta);
+
   return {
     title: mainTitle,
     subtitle,
+    // Every dc:title with its EPUB 3 refinements; "structured" when the
+    // book uses title-type rather than one combined title
+    titles,
+    titleModel: titles.some(t => t.type) ? "structured" : "combined",
+    titleSort: readTitleSort(meta),
     authors,  // Now an array
     author: authors.length > 0 ? authors[0].name : "", // Keep for backward compat
     contributors,
@@ -275,20 +691,34 @@ export function extractMetadata(meta) {
     languageWarning: langResult.warning,
     languageConverted: langResult.converted ? rawLanguage : null,
     identifier,
+    // Where the ISBN comes from: registration group and publisher prefix
+    isbnInfo: describeISBN(parseISBN(identifier)),
     publisher: get("dc:publisher"),
     date: get("dc:date"),
     description: get("dc:description"),
     rights: get("dc:rights"),
-    series: getMetaProp("belongs-to-collection"),
-    seriesIndex: getMetaProp("group-position"),
-    subjects: meta["dc:subject"]?.map(s => s._ ?? s) ?? []
+    series: series.name,
+    seriesIndex: series.index,
+    seriesType: series.type,
+    collections: series.collections,
+    // Which conventions hold the series, and where they disagree (series.js)
+    seriesFormats: series.formats,
+    seriesConflicts: series.conflicts,
+    identifiers: readIdentifiers(meta, uniqueIdentifier),
+    subjects: meta["dc:subject"]?.map(s => s._ ?? s) ?? [],
+    // accessMode, accessibilityFeature, conformsTo... (accessibility.js)
+    ...readAccessibility(meta),
+    customMeta: readCustomMeta(meta)
   };
 }
 
 /**
  * Normalize metadata fields
+ * An empty title sort is filled in from the title and language. With
+ * `generateFileAs`, authors and contributors without a sort name get one
+ * generated from their name (see namesort.js) for the user to review
  */
-export function normalizeMetadata(metadata) {
+export function normalizeMetadata(metadata, { generateFileAs = false } = {}) {
   const normalized = {};
   const warnings = [];
   
@@ -328,6 +758,53 @@ export function normalizeMetadata(metadata) {
     }
   }
   
+  // Check the ISBN's check digit and hyphenate it (see isbn.js); its
+  // registration group suggests a language when the book has none
+  const isbn = normalized.identifier ? parseISBN(normalized.identifier) : null;
+  if (isbn && !isbn.valid) {
+    warnings.push(`ISBN ${normalized.identifier} has a wrong check digit; it should end in ${isbn.expectedCheckDigit}`);
+  } else if (isbn) {
+    normalized.identifier = hyphenateISBN(normalized.identifier);
+    normalized.isbnInfo = describeISBN(isbn);
+    if (!normalized.language && isbn.language) {
+      normalized.language = isbn.language;
+      warnings.push(`Language set to "${isbn.language}" from the ISBN's registration group (${isbn.groupName || `${isbn.prefix}-${isbn.group}`}); check it`);
+    }
+  }
+  for (const row of Array.isArray(normalized.identifiers) ? normalized.identifiers : []) {
+    const other = row?.scheme === "ISBN" ? parseISBN(row.value) : null;
+    if (other && !other.valid && cleanISBN(row.value) !== cleanISBN(normalized.identifier)) {
+      warnings.push(`ISBN ${row.value} has a wrong check digit; it should end in ${other.expectedCheckDigit}`);
+    }
+  }
+
+  // Sort the title without its leading article (see titlesort.js)
+  if (normalized.title && !normalized.titleSort) {
+    const title = normalized.subtitle && normalized.titleModel !== "structured"
+      ? `${normalized.title}: ${normalized.subtitle}`
+      : normalized.title;
+    const titleSort = titleSortName(title, normalized.language);
+    if (titleSort !== title) normalized.titleSort = titleSort;
+  }
+
+  if (generateFileAs) {
+    let generated = 0;
+    for (const key of ["authors", "contributors"]) {
+      if (!Array.isArray(normalized[key])) continue;
+      normalized[key] = normalized[key].map(person => {
+        if (typeof person === 'string') person = { name: person };
+        if (person?.fileAs || !person?.name) return person;
+        const fileAs = fileAsName(person.name, normalized.language);
+        if (fileAs === person.name.trim()) return person;
+        generated++;
+        return { ...person, fileAs };
+      });
+    }
+    if (generated > 0) {
+      warnings.push(`Generated ${generated} sort name(s) (file-as); check them before downloading`);
+    }
+  }
+
   normalized._warnings = warnings.length > 0 ? warnings : undefined;
   
   return normalized;
@@ -380,6 +857,26 @@ function stripHTML(html) {
     .trim();
 }
 
+/**
+ * The manifest item of the cover image: properties="cover-image" (EPUB 3),
+ * then <meta name="cover"> (EPUB 2), then an image whose id or file name
+ * mentions "cover" - preferring one that isn't a thumbnail
+ */
+function findCoverItem(opf) {
+  const items = (opf.package.manifest?.[0]?.item || []).filter(item => item?.$?.href);
+  const isImage = (item) => item.$["media-type"]?.startsWith("image/");
+
+  const byProperty = items.find(item => (item.$.properties || "").split(/\s+/).includes("cover-image"));
+  if (byProperty) return byProperty;
+
+  const coverId = opf.package.metadata?.[0]?.meta?.find(m => m?.$?.name === "cover")?.$?.content;
+  const byMeta = coverId && items.find(item => item.$.id === coverId && isImage(item));
+  if (byMeta) return byMeta;
+
+  const named = items.filter(item => isImage(item) && /cover/i.test(`${item.$.id} ${item.$.href}`));
+  return named.find(item => !/thumb|small|mini/i.test(`${item.$.id} ${item.$.href}`)) || named[0] || null;
+}
+
 /**
  * Get cover image from EPUB
  * With safeguards for malformed EPUBs and missing manifest properties
@@ -392,49 +889,7 @@ export async function getCoverImage(zip, opf, opfPath) {
       return null;
     }
     
-    const manifest = opf.package.manifest[0].item;
-    const meta = opf.package.metadata?.[0];
-    
-    // Try to find cover by meta tag
-    let coverId = null;
-    if (meta?.meta) {
-      const coverMeta = meta.meta.find(m => m?.$?.name === "cover");
-      if (coverMeta?.$?.content) {
-        coverId = coverMeta.$.content;
-      }
-    }
-    
-    // Try to find by manifest properties (with safeguard for missing properties)
-    if (!coverId) {
-      const coverItem = manifest.find(item => {
-        // Safeguard: ensure item and item.$ exist before accessing properties
-        if (!item?.$?.properties) return false;
-        return item.$.properties.includes("cover-image");
-      });
-      if (coverItem?.$?.id) {
-        coverId = coverItem.$.id;
-      }
-    }
-    
-    // Try to find by ID containing "cover" (with safeguards)
-    if (!coverId) {
-      const coverItem = manifest.find(item => {
-        // Safeguard: ensure item.$ exists
-        if (!item?.$) return false;
-        const id = item.$.id;
-        const mediaType = item.$["media-type"];
-        return id?.toLowerCase().includes("cover") && 
-               mediaType?.startsWith("image/");
-      });
-      if (coverItem?.$?.id) {
-        coverId = coverItem.$.id;
-      }
-    }
-    
-    if (!coverId) return null;
-    
-    // Safeguard: find cover item with null check
-    const coverItem = manifest.find(item => item?.$?.id === coverId);
+    const coverItem = findCoverItem(opf);
     if (!coverItem?.$?.href) return null;
     
     const coverPath = coverItem.$.href;
@@ -493,199 +948,1238 @@ export async function optimizeCover(buffer, options = {}) {
 }
 
 /**
- * Write updated metadata back into EPUB
- * Preserves existing refinements and uses EPUB 3 compliant format
- * Now with proper XML escaping and identifier preservation
- * EPUB 2 Compatibility: Does NOT inject EPUB 3 metadata into EPUB 2 files (Part 2A)
+ * Text content of a parsed element (plain string or { _, $ } object)
  */
-export async function writeEpub(zip, opfPath, opf, updates, coverBuffer = null) {
-  const meta = opf.package.metadata[0];
-  const pkg = opf.package;
-  const warnings = [];
-
-  // Check EPUB version (Part 2A: EPUB 2 Compatibility)
-  const epubVersion = pkg.$?.version || "3.0";
-  const isEpub2 = epubVersion.startsWith("2");
-  
-  // Do NOT upgrade version - preserve original
-  // If it's EPUB 2, keep it as EPUB 2
-
-  // Helper to set a simple metadata element with sanitization.
-  // undefined/null = "not edited" (leave as-is); empty string = clear the field.
-  const set = (key, value) => {
-    if (value === undefined || value === null) return;
-    const sanitized = sanitizeMetadataString(String(value));
-    if (!sanitized) {
-      delete meta[key];
-      return;
-    }
-    meta[key] = [sanitized];
-  };
-
-  // Initialize meta array if needed
-  meta.meta = meta.meta || [];
+function textOf(value) {
+  if (typeof value === 'string') return value;
+  return typeof value?._ === 'string' ? value._ : '';
+}
 
-  // Validate required metadata (Task 7C)
-  if (!updates.title && !meta["dc:title"]?.[0]) {
-    warnings.push("Warning: EPUB requires a title (dc:title)");
+/**
+ * Identify raster images by their magic bytes
+ */
+export function sniffImageType(buffer) {
+  if (buffer.length >= 3 && buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) {
+    return "image/jpeg";
+  }
+  if (buffer.length >= 8 && buffer.readUInt32BE(0) === 0x89504E47) {
+    return "image/png";
+  }
+  if (buffer.length >= 6 && buffer.toString("latin1", 0, 4) === "GIF8") {
+    return "image/gif";
+  }
+  if (buffer.length >= 12 && buffer.toString("latin1", 0, 4) === "RIFF" &&
+      buffer.toString("latin1", 8, 12) === "WEBP") {
+    return "image/webp";
   }
+  return null;
+}
 
-  // Handle title and subtitle
-  // Combine into a single dc:title for maximum reader compatibility
-  // While EPUB 3 spec allows multiple dc:title with title-type refinements,
-  // real-world readers don't support this properly
-  
-  // Clean up any existing title-type refinements (they won't be used)
-  meta.meta = meta.meta.filter(m => 
-    !(m.$?.property === "title-type")
-  );
-  
-  if (updates.title) {
-    const sanitizedTitle = sanitizeMetadataString(updates.title);
-    
-    // Combine title and subtitle into single dc:title
-    // Format: "Title: Subtitle" (colon separator is conventional)
-    let combinedTitle = sanitizedTitle;
-    if (updates.subtitle) {
-      const sanitizedSubtitle = sanitizeMetadataString(updates.subtitle);
-      if (sanitizedSubtitle) {
-        combinedTitle = `${sanitizedTitle}: ${sanitizedSubtitle}`;
+/**
+ * Collect every `id` attribute in a parsed document
+ */
+export function collectIds(node, found = []) {
+  if (Array.isArray(node)) {
+    node.forEach(child => collectIds(child, found));
+  } else if (node && typeof node === "object") {
+    for (const [key, value] of Object.entries(node)) {
+      if (key === "$") {
+        if (value.id !== undefined) found.push(value.id);
+      } else if (key !== "_") {
+        collectIds(value, found);
       }
     }
-    
-    // Single dc:title for both EPUB 2 and EPUB 3
-    meta["dc:title"] = [combinedTitle];
   }
+  return found;
+}
 
-  // Update basic metadata with sanitization
-  set("dc:publisher", updates.publisher);
-  set("dc:date", updates.date);
-  set("dc:description", updates.description);
-  set("dc:rights", updates.rights);
-
-  // Normalize and set language (Task 7D: EPUB 2 fallback handled by normalizeLanguageCode)
-  if (updates.language) {
-    const langResult = normalizeLanguageCode(sanitizeMetadataString(updates.language));
-    if (langResult.code) {
-      meta["dc:language"] = [langResult.code];
-    }
+/**
+ * Resolve a manifest href against the OPF directory to a zip entry name
+ */
+export function resolveHref(opfPath, href) {
+  let decoded = href.split("#")[0];
+  try {
+    decoded = decodeURIComponent(decoded);
+  } catch {
+    // Malformed percent-escapes: look the href up literally
   }
+  return path.posix.join(path.posix.dirname(opfPath), decoded);
+}
 
-  // Handle authors - support both array format and single string (backward compat)
-  // Preserve file-as and role attributes (Task 7B)
-  // STRICT EPUB 2/3 SEPARATION:
-  // - EPUB 3: Use <meta refines> for role/file-as, NO opf:* attributes on dc:creator
-  // - EPUB 2: Use opf:role/opf:file-as attributes, NO <meta refines>
-  if (updates.authors && Array.isArray(updates.authors) && updates.authors.length > 0) {
-    
-    if (!isEpub2) {
-      // EPUB 3: Remove ALL existing role and file-as refinements for creators
-      // (clean up any orphaned refinements regardless of their ID pattern)
-      meta.meta = meta.meta?.filter(m => {
-        const prop = m.$?.property;
-        const refines = m.$?.refines;
-        // Remove any role or file-as refinement that might be for a creator
-        if ((prop === "file-as" || prop === "role") && refines) {
-          return false;
-        }
-        return true;
-      }) || [];
-      
-      // Create dc:creator elements with ONLY id attribute (no opf:* attributes for EPUB 3)
-      meta["dc:creator"] = updates.authors.map((author, idx) => {
-        const authorName = sanitizeMetadataString(typeof author === 'string' ? author : author.name);
-        return {
-          _: authorName,
-          $: { id: `creator-${idx}` }
-        };
-      });
-      
-      // Add file-as and role as <meta refines> elements (EPUB 3 way)
-      updates.authors.forEach((author, idx) => {
-        if (typeof author === 'object') {
-          if (author.fileAs) {
-            meta.meta.push({
-              $: { refines: `#creator-${idx}`, property: "file-as" },
-              _: sanitizeMetadataString(author.fileAs)
-            });
-          }
-          if (author.role) {
-            meta.meta.push({
-              $: { refines: `#creator-${idx}`, property: "role", scheme: "marc:relators" },
-              _: author.role
-            });
-          }
-        }
-      });
-      
-    } else {
-      // EPUB 2: Use opf:role and opf:file-as attributes on dc:creator
-      // Do NOT add <meta refines> elements
-      meta["dc:creator"] = updates.authors.map((author, idx) => {
-        const authorName = sanitizeMetadataString(typeof author === 'string' ? author : author.name);
-        const entry = {
-          _: authorName,
-          $: {}
-        };
-        
-        // Add opf:role attribute if role is provided
-        if (typeof author === 'object' && author.role) {
-          entry.$["opf:role"] = author.role;
-        }
-        
-        // Add opf:file-as attribute if fileAs is provided
-        if (typeof author === 'object' && author.fileAs) {
-          entry.$["opf:file-as"] = sanitizeMetadataString(author.fileAs);
-        }
-        
-        return entry;
+/**
+ * Files that repeat the book's title outside the OPF: the NCX, the EPUB 3
+ * navigation document and the XHTML documents in the spine.
+ * Returns { ncx, nav, pages } as zip entry names (ncx/nav null if absent)
+ */
+function navigationFiles(opf, opfPath) {
+  const pkg = opf.package;
+  const items = pkg.manifest?.[0]?.item || [];
+  const spine = pkg.spine?.[0];
+  const entryName = item => (item?.$?.href ? resolveHref(opfPath, item.$.href) : null);
+
+  const tocId = spine?.$?.toc;
+  const ncx = items.find(item => tocId && item.$?.id === tocId) ||
+    items.find(item => item.$?.["media-type"] === "application/x-dtbncx+xml");
+  const nav = items.find(item => (item.$?.properties || "").split(/\s+/).includes("nav"));
+  const pages = (spine?.itemref || [])
+    .map(ref => items.find(item => item.$?.id === ref.$?.idref))
+    .filter(item => item && item !== nav && item.$?.["media-type"] === "application/xhtml+xml")
+    .map(entryName);
+
+  return { ncx: entryName(ncx), nav: entryName(nav), pages: [...new Set(pages)] };
+}
+
+/**
+ * Parse an XML document from the archive; null if it is missing or unreadable
+ * (a broken chapter shouldn't stop the metadata from being saved)
+ */
+async function readXmlEntry(zip, entryPath, options) {
+  const file = entryPath && zip.file(entryPath);
+  if (!file) return null;
+  try {
+    return parseXml(await file.async("string"), options);
+  } catch {
+    return null;
+  }
+}
+
+const fullTitle = (meta) => (meta.subtitle ? `${meta.title}: ${meta.subtitle}` : meta.title || "");
+const authorNames = (meta) => (meta.authors || []).map(author => author.name);
+const xhtmlTitle = (doc) => doc?.html?.head?.[0]?.title;
+
+/**
+ * The title and authors as the NCX, navigation document and XHTML pages
+ * currently have them: { ncx: { path, title, authors }, nav: { path, title },
+ * pages: [{ path, title }] }. Files that can't be read are left out.
+ */
+export async function readNavigationTitles(zip, opf, opfPath) {
+  const files = navigationFiles(opf, opfPath);
+  const result = { ncx: null, nav: null, pages: [] };
+
+  const ncx = (await readXmlEntry(zip, files.ncx, NCX_XML_OPTIONS))?.ncx;
+  if (ncx) {
+    result.ncx = {
+      path: files.ncx,
+      title: textOf(ncx.docTitle?.[0]?.text?.[0]).trim(),
+      authors: (ncx.docAuthor || []).map(author => textOf(author?.text?.[0]).trim())
+    };
+  }
+
+  const nav = await readXmlEntry(zip, files.nav, XHTML_XML_OPTIONS);
+  if (xhtmlTitle(nav)) {
+    result.nav = { path: files.nav, title: textOf(xhtmlTitle(nav)[0]).trim() };
+  }
+
+  for (const page of files.pages) {
+    const doc = await readXmlEntry(zip, page, XHTML_XML_OPTIONS);
+    if (xhtmlTitle(doc)) {
+      result.pages.push({ path: page, title: textOf(xhtmlTitle(doc)[0]).trim() });
+    }
+  }
+  return result;
+}
+
+/**
+ * What the content shows about the book's accessibility, for
+ * suggestAccessibility(): whether it has a table of contents, page list,
+ * headings, page-break markers, MathML, ARIA roles, audio, video and GIF
+ * images, how many images there are, how many of them have no alt
+ * attribute and on which pages. Files that can't be read are skipped.
+ */
+export async function scanAccessibility(zip, opf, opfPath) {
+  const files = navigationFiles(opf, opfPath);
+  const read = async (entryPath) => (entryPath && zip.file(entryPath) ? zip.file(entryPath).async("string") : "");
+  const nav = await read(files.nav);
+  const ncx = await read(files.ncx);
+  const items = opf.package.manifest?.[0]?.item || [];
+
+  const scan = {
+    tableOfContents: Boolean(nav || ncx),
+    pageList: /\bepub:type\s*=\s*["'][^"']*\bpage-list\b/.test(nav) || /<pageList\b/.test(ncx),
+    headings: false,
+    pageBreaks: false,
+    math: false,
+    aria: false,
+    audio: items.some(item => item.$?.["media-type"]?.startsWith("audio/")),
+    video: items.some(item => item.$?.["media-type"]?.startsWith("video/")),
+    gifs: items.some(item => item.$?.["media-type"] === "image/gif"),
+    images: 0,
+    imagesWithoutAlt: 0,
+    pagesWithoutAlt: []
+  };
+
+  for (const page of files.pages) {
+    const content = await read(page);
+    const images = content.match(/<img\b[^>]*>/gi) || [];
+    scan.images += images.length;
+    const withoutAlt = images.filter(img => !/\balt\s*=/i.test(img)).length;
+    scan.imagesWithoutAlt += withoutAlt;
+    if (withoutAlt > 0) scan.pagesWithoutAlt.push(page);
+    scan.headings ||= /<h[1-6]\b/i.test(content);
+    scan.pageBreaks ||= /\b(?:epub:type|role)\s*=\s*["'][^"']*\b(?:doc-)?pagebreak\b/.test(content);
+    scan.math ||= /<(?:\w+:)?math\b/.test(content);
+    scan.aria ||= /\brole\s*=\s*["']doc-|\baria-\w+\s*=/.test(content);
+    scan.audio ||= /<audio\b/i.test(content);
+    scan.video ||= /<video\b/i.test(content);
+  }
+  return scan;
+}
+
+/**
+ * Replace the text of a parsed element, keeping its attributes
+ */
+function withText(value, text) {
+  return value && typeof value === "object" ? { ...value, _: text } : text;
+}
+
+/**
+ * The value of the package's unique identifier
+ */
+function uniqueIdentifierValue(opf) {
+  const uniqueId = opf.package.$?.["unique-identifier"];
+  const element = (opf.package.metadata[0]["dc:identifier"] || []).find(id => uniqueId && id?.$?.id === uniqueId);
+  return textOf(element).trim();
+}
+
+/**
+ * The NCX's dtb:uid must be the package's unique identifier; follow a change
+ * of it, unless the NCX had its own value already
+ */
+async function syncNcxUid(zip, opfPath, opf, uidBefore) {
+  const uid = uniqueIdentifierValue(opf);
+  if (!uid || uid === uidBefore) return;
+
+  const entryPath = navigationFiles(opf, opfPath).ncx;
+  const doc = await readXmlEntry(zip, entryPath, NCX_XML_OPTIONS);
+  const meta = (doc?.ncx?.head?.[0]?.meta || []).find(m => m?.$?.name === "dtb:uid");
+  if (!meta || (meta.$.content || "").trim() !== uidBefore) return;
+  meta.$.content = uid;
+  zip.file(entryPath, serializeXml(doc));
+}
+
+/**
+ * Carry a title or author edit over from the OPF into the files that repeat
+ * them. The NCX docTitle/docAuthor always name the book, so they follow the
+ * edit; the <title> of the navigation document (options.toc) and of XHTML
+ * pages (options.pages) is only replaced where it was the old book title -
+ * otherwise it is "Contents" or a chapter name. `before`/`after` are
+ * extractMetadata() results.
+ */
+async function syncNavigationTitles(zip, opfPath, opf, before, after, options) {
+  const titleChanged = fullTitle(before) !== fullTitle(after) && fullTitle(after) !== "";
+  const authorsChanged = authorNames(before).join(", ") !== authorNames(after).join(", ") &&
+    authorNames(after).length > 0;
+  if (!titleChanged && !authorsChanged) return;
+
+  const files = navigationFiles(opf, opfPath);
+  const oldTitles = new Set([fullTitle(before), before.title].filter(Boolean));
+  const save = (entryPath, doc) => zip.file(entryPath, serializeXml(doc));
+
+  const syncXhtmlTitle = async (entryPath) => {
+    const doc = await readXmlEntry(zip, entryPath, XHTML_XML_OPTIONS);
+    const title = xhtmlTitle(doc);
+    if (!titleChanged || !title || !oldTitles.has(textOf(title[0]).trim())) return;
+    title[0] = withText(title[0], fullTitle(after));
+    save(entryPath, doc);
+  };
+
+  if (options.toc) {
+    const doc = await readXmlEntry(zip, files.ncx, NCX_XML_OPTIONS);
+    const ncx = doc?.ncx;
+    let edited = false;
+
+    const docTitle = ncx?.docTitle?.[0];
+    if (titleChanged && docTitle && typeof docTitle === "object") {
+      docTitle.text = [withText(docTitle.text?.[0], fullTitle(after))];
+      edited = true;
+    }
+    // One docAuthor per author, modelled on the ones already there
+    if (authorsChanged && ncx?.docAuthor) {
+      const existing = ncx.docAuthor.map(author => (author && typeof author === "object" ? author : {}));
+      ncx.docAuthor = authorNames(after).map((name, idx) => {
+        const original = existing[idx] ?? existing[0];
+        return { ...original, text: [withText(original.text?.[0], name)] };
       });
+      edited = true;
     }
-    
-  } else if (updates.author) {
-    // Backward compatibility: single author string
-    const sanitizedAuthor = sanitizeMetadataString(updates.author);
-    
-    if (!isEpub2) {
-      // EPUB 3: creator with id, no opf:* attributes
-      meta["dc:creator"] = [{
-        _: sanitizedAuthor,
-        $: { id: "creator-0" }
-      }];
+    if (edited) save(files.ncx, doc);
+
+    await syncXhtmlTitle(files.nav);
+  }
+
+  if (options.pages) {
+    for (const page of files.pages) {
+      await syncXhtmlTitle(page);
+    }
+  }
+}
+
+const IMAGE_EXTENSIONS = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/gif": "gif",
+  "image/webp": "webp"
+};
+
+const EXTENSION_IMAGE_TYPES = {
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  jpe: "image/jpeg",
+  png: "image/png",
+  gif: "image/gif",
+  webp: "image/webp"
+};
+
+// Attributes through which XHTML content documents embed images
+const IMAGE_REFERENCES = {
+  img: ["src"],
+  "svg:image": ["xlink:href", "href"]
+};
+
+// Manifest types that can point at an image by file name
+const REFERRING_TYPES = ["application/xhtml+xml", "image/svg+xml", "text/css", "application/x-dtbncx+xml"];
+
+/**
+ * First of `base`, `base-1`, `base-2`... not in `taken`; it is added to it
+ */
+function uniqueId(taken, base) {
+  let id = base;
+  for (let n = 1; taken.has(id); n++) {
+    id = `${base}-${n}`;
+  }
+  taken.add(id);
+  return id;
+}
+
+/**
+ * A manifest href (relative to the OPF) for a new file that doesn't clash
+ * with anything in the archive or the manifest. Zip entries are compared
+ * case-insensitively, as they end up on case-insensitive file systems.
+ */
+function newHref(zip, opfPath, manifest, base, extension) {
+  const taken = new Set(Object.keys(zip.files).map(name => name.toLowerCase()));
+  for (const item of manifest) {
+    if (item?.$?.href) taken.add(resolveHref(opfPath, item.$.href).toLowerCase());
+  }
+  for (let n = 0; ; n++) {
+    const href = `${base}${n ? `-${n}` : ""}.${extension}`;
+    if (!taken.has(resolveHref(opfPath, href).toLowerCase())) return href;
+  }
+}
+
+/**
+ * Call visit(key, element) for every element below `node` in a parsed document
+ */
+function forEachElement(node, visit) {
+  if (!node || typeof node !== "object") return;
+  for (const [key, children] of Object.entries(node)) {
+    if (key === "$" || key === "_") continue;
+    // The root element is a plain object, everything below it an array
+    for (const child of [].concat(children)) {
+      if (child && typeof child === "object") {
+        visit(key, child);
+        forEachElement(child, visit);
+      }
+    }
+  }
+}
+
+/**
+ * Point XHTML <img> and SVG <image> references to `oldPath` at `fileName`
+ * (a file in the same folder)
+ */
+async function rewriteImageReferences(zip, opfPath, manifest, oldPath, fileName) {
+  for (const item of manifest) {
+    if (item?.$?.["media-type"] !== "application/xhtml+xml" || !item.$.href) continue;
+    const docPath = resolveHref(opfPath, item.$.href);
+    const doc = await readXmlEntry(zip, docPath, XHTML_XML_OPTIONS);
+    if (!doc) continue;
+
+    let edited = false;
+    forEachElement(doc, (key, element) => {
+      for (const attr of IMAGE_REFERENCES[key] || []) {
+        const src = element.$?.[attr];
+        if (!src || resolveHref(docPath, src) !== oldPath) continue;
+        element.$[attr] = src.slice(0, src.lastIndexOf("/") + 1) + fileName;
+        edited = true;
+      }
+    });
+    if (edited) zip.file(docPath, serializeXml(doc));
+  }
+}
+
+/**
+ * Whether any manifest item or document that can embed images still names `entryPath`
+ */
+async function isReferenced(zip, opfPath, manifest, entryPath) {
+  const name = path.posix.basename(entryPath);
+  const names = [name, encodeURI(name)];
+  for (const item of manifest) {
+    if (!item?.$?.href) continue;
+    const itemPath = resolveHref(opfPath, item.$.href);
+    if (itemPath === entryPath) return true;
+    if (!REFERRING_TYPES.includes(item.$["media-type"])) continue;
+    const text = await zip.file(itemPath)?.async("string");
+    if (text && names.some(n => text.includes(n))) return true;
+  }
+  return false;
+}
+
+/**
+ * Replace the cover image. When the new image has another format the file is
+ * renamed to match - Calibre and Kobo's sideloader trust the extension - and
+ * the manifest and XHTML <img>/SVG <image> references follow.
+ * `replaced` maps the image files already replaced in this save to
+ * { fileName, id, mediaType } - their new file name ("" if it kept its own)
+ * and the item they were - so renditions sharing a cover share the new one
+ * too; removeReplacedCovers() deals with the old files once every package
+ * is done.
+ */
+async function replaceCover(zip, opfPath, opf, coverItem, coverBuffer, replaced) {
+  const manifest = opf.package.manifest[0].item;
+  const oldHref = coverItem.$.href;
+  const oldPath = resolveHref(opfPath, oldHref);
+  const oldMediaType = coverItem.$["media-type"];
+  const mediaType = sniffImageType(coverBuffer) || oldMediaType;
+  coverItem.$["media-type"] = mediaType;
+
+  const hrefPath = oldHref.split("#")[0];
+  const extension = path.posix.extname(oldPath).slice(1).toLowerCase();
+  if (!replaced.has(oldPath)) {
+    let fileName = "";
+    if (!IMAGE_EXTENSIONS[mediaType] || EXTENSION_IMAGE_TYPES[extension] === mediaType) {
+      zip.file(oldPath, coverBuffer);
     } else {
-      // EPUB 2: creator without id (or with opf:* if needed)
-      meta["dc:creator"] = [{
-        _: sanitizedAuthor,
-        $: {}
-      }];
-    }
-  }
-
-  // Handle contributors - comma-separated names from the UI.
-  // Preserve existing entries (and their role attributes) for names that didn't change.
-  if (updates.contributors !== undefined) {
-    const names = String(updates.contributors)
-      .split(',')
-      .map(s => sanitizeMetadataString(s).trim())
-      .filter(Boolean);
-
-    if (names.length > 0) {
-      const existing = meta["dc:contributor"] || [];
-      meta["dc:contributor"] = names.map(name => {
-        const match = existing.find(c => String(c?._ ?? c).trim() === name);
-        return match ?? { _: name };
+      const base = hrefPath.slice(0, hrefPath.length - path.posix.extname(hrefPath).length);
+      const href = newHref(zip, opfPath, manifest, base, IMAGE_EXTENSIONS[mediaType]);
+      zip.file(resolveHref(opfPath, href), coverBuffer);
+      fileName = href.slice(href.lastIndexOf("/") + 1);
+    }
+    replaced.set(oldPath, { fileName, id: coverItem.$.id, mediaType: oldMediaType });
+  }
+  const { fileName } = replaced.get(oldPath);
+  if (!fileName) return;
+
+  const href = hrefPath.slice(0, hrefPath.lastIndexOf("/") + 1) + fileName;
+  for (const item of manifest) {
+    if (item?.$?.href && resolveHref(opfPath, item.$.href) === oldPath) {
+      item.$.href = href;
+    }
+  }
+  await rewriteImageReferences(zip, opfPath, manifest, oldPath, fileName);
+}
+
+/**
+ * Remove the cover images replaceCover() renamed away from, unless a package
+ * still uses them: a rendition that wasn't edited, or an edited one that
+ * uses it elsewhere (e.g. in a stylesheet), where it stays listed in the
+ * manifest with the media type it had
+ */
+async function removeReplacedCovers(zip, rootfiles, packages, replaced) {
+  for (const [oldPath, { fileName, id, mediaType }] of replaced) {
+    if (!fileName) continue;
+    let used = false;
+    for (const rootfile of rootfiles) {
+      const pkg = packages.find(p => p.path === rootfile.path);
+      const opf = pkg?.opf ?? await readPackage(zip, rootfile.path);
+      const manifest = opf.package.manifest?.[0]?.item || [];
+      if (!await isReferenced(zip, rootfile.path, manifest, oldPath)) continue;
+      used = true;
+      if (!pkg) continue;
+      const ids = new Set(collectIds(pkg.opf.package));
+      const href = path.posix.relative(path.posix.dirname(pkg.path), oldPath);
+      manifest.push({ $: { id: uniqueId(ids, `${id}-previous`), href, "media-type": mediaType } });
+      zip.file(pkg.path, serializeXml(pkg.opf));
+    }
+    if (!used) zip.remove(oldPath);
+  }
+}
+
+/**
+ * XHTML page showing the cover image, in the flavour the package version expects
+ */
+function coverPage(imageHref, title, language, isEpub2) {
+  const lang = language ? ` xml:lang="${escapeAttr(language)}"${isEpub2 ? "" : ` lang="${escapeAttr(language)}"`}` : "";
+  const style = "html, body { margin: 0; padding: 0; height: 100%; text-align: center; }\n" +
+    "      img { max-width: 100%; max-height: 100%; }";
+  const image = `<img src="${escapeAttr(imageHref)}" alt="${escapeAttr(title || "Cover")}"${isEpub2 ? "" : ' role="doc-cover"'}/>`;
+
+  if (isEpub2) {
+    return `<?xml version="1.0" encoding="utf-8"?>
+<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.1//EN" "http://www.w3.org/TR/xhtml11/DTD/xhtml11.dtd">
+<html xmlns="http://www.w3.org/1999/xhtml"${lang}>
+  <head>
+    <title>Cover</title>
+    <style type="text/css">
+      ${style}
+    </style>
+  </head>
+  <body>
+    <div>${image}</div>
+  </body>
+</html>
+`;
+  }
+  return `<?xml version="1.0" encoding="utf-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops"${lang}>
+  <head>
+    <title>Cover</title>
+    <style>
+      ${style}
+    </style>
+  </head>
+  <body>
+    <section epub:type="cover">${image}</section>
+  </body>
+</html>
+`;
+}
+
+/**
+ * First descendant (depth-first) of a parsed element that matches `test`,
+ * only looking at `key` elements unless key is null
+ */
+function findElement(node, key, test) {
+  if (!node || typeof node !== "object") return null;
+  for (const [childKey, children] of Object.entries(node)) {
+    if (childKey === "$" || childKey === "_" || !Array.isArray(children)) continue;
+    for (const child of children) {
+      if ((key === null || childKey === key) && test(child)) return child;
+      const found = findElement(child, key, test);
+      if (found) return found;
+    }
+  }
+  return null;
+}
+
+const hasEpubType = (type) => (element) =>
+  (element?.$?.["epub:type"] || "").split(/\s+/).includes(type);
+
+/**
+ * Add a cover entry to the landmarks of the EPUB 3 navigation document,
+ * creating the landmarks nav next to the table of contents if there is none
+ */
+async function addCoverLandmark(zip, opfPath, opf, pageHref) {
+  const navPath = navigationFiles(opf, opfPath).nav;
+  const doc = await readXmlEntry(zip, navPath, XHTML_XML_OPTIONS);
+  const body = doc?.html?.body?.[0];
+  if (!body || typeof body !== "object") return;
+
+  const href = path.posix.relative(path.posix.dirname(navPath), resolveHref(opfPath, pageHref));
+  const entry = { a: [{ $: { "epub:type": "cover", href }, _: "Cover" }] };
+
+  const landmarks = findElement(body, "nav", hasEpubType("landmarks"));
+  if (landmarks) {
+    const list = landmarks.ol?.[0];
+    if (!list || typeof list !== "object") return;
+    if ((list.li || []).some(li => findElement(li, "a", hasEpubType("cover")))) return;
+    list.li = [entry, ...(list.li || [])];
+  } else {
+    // Landmarks go next to the toc nav, wherever the document keeps it
+    const holdsToc = (element) => (element?.nav || []).some(hasEpubType("toc"));
+    const holder = holdsToc(body) ? body : findElement(body, null, holdsToc) || body;
+    holder.nav = [
+      ...(holder.nav || []),
+      { $: { "epub:type": "landmarks", hidden: "" }, ol: [{ li: [entry] }] }
+    ];
+  }
+  zip.file(navPath, serializeXml(doc));
+}
+
+/**
+ * Install a cover in a book that has none: the image, an XHTML cover page at
+ * the start of the spine, <meta name="cover">, and a guide reference (EPUB 2)
+ * or landmarks entry (EPUB 3; plus the guide if the book already has one).
+ * IDs and file names are picked so they don't clash with existing ones.
+ */
+async function installCover(zip, opfPath, opf, coverBuffer, isEpub2) {
+  const pkg = opf.package;
+  const meta = pkg.metadata[0];
+  const manifest = pkg.manifest[0].item;
+  const ids = new Set(collectIds(pkg));
+
+  const mediaType = sniffImageType(coverBuffer) || "image/jpeg";
+  const imageId = uniqueId(ids, "cover-image");
+  const imageHref = newHref(zip, opfPath, manifest, "images/cover", IMAGE_EXTENSIONS[mediaType] || "jpg");
+  zip.file(resolveHref(opfPath, imageHref), coverBuffer);
+
+  const imageItem = { $: { id: imageId, href: imageHref, "media-type": mediaType } };
+  // Only add properties="cover-image" for EPUB 3 (Part 2A)
+  if (!isEpub2) {
+    imageItem.$.properties = "cover-image";
+  }
+  manifest.push(imageItem);
+
+  // Add cover meta for EPUB 2 compatibility (always add for both versions)
+  meta.meta.push({
+    $: { name: "cover", content: imageId }
+  });
+
+  const pageId = uniqueId(ids, "cover-page");
+  const pageHref = newHref(zip, opfPath, manifest, "cover", "xhtml");
+  const pagePath = resolveHref(opfPath, pageHref);
+  const current = extractMetadata(meta);
+  zip.file(pagePath, coverPage(
+    path.posix.relative(path.posix.dirname(pagePath), resolveHref(opfPath, imageHref)),
+    current.title,
+    current.language,
+    isEpub2
+  ));
+  manifest.push({ $: { id: pageId, href: pageHref, "media-type": "application/xhtml+xml" } });
+
+  if (!pkg.spine?.[0] || typeof pkg.spine[0] !== "object") {
+    pkg.spine = [{}];
+  }
+  pkg.spine[0].itemref = [{ $: { idref: pageId } }, ...(pkg.spine[0].itemref || [])];
+
+  // EPUB 3 readers use landmarks; the guide is EPUB 2's equivalent
+  if (!isEpub2) {
+    await addCoverLandmark(zip, opfPath, opf, pageHref);
+  }
+  if (isEpub2 || pkg.guide) {
+    if (!pkg.guide?.[0] || typeof pkg.guide[0] !== "object") {
+      pkg.guide = [{}];
+    }
+    const references = pkg.guide[0].reference || [];
+    if (!references.some(ref => ref?.$?.type === "cover")) {
+      pkg.guide[0].reference = [{ $: { type: "cover", title: "Cover", href: pageHref } }, ...references];
+    }
+  }
+}
+
+/**
+ * Write updated metadata back into EPUB
+ * Obfuscated fonts are re-keyed when an identifier edit changes their key;
+ * throws EpubError if the edit would leave them without one, or if the book
+ * is DRM-protected
+ * options.allRenditions applies the same edits to every OPF listed in
+ * container.xml, not just the one passed in
+ * options.syncToc / options.syncPageTitles carry title and author edits over
+ * into the NCX and navigation document / the <title> of XHTML pages
+ * options.seriesFormats lists the series conventions to write ("epub3",
+ * "calibre"); by default each version's own. updates.collections, when
+ * given, replaces the EPUB 3 collections whatever the formats.
+ */
+export async function writeEpub(zip, opfPath, opf, updates, coverBuffer = null, options = {}) {
+  const encryption = await editableEncryption(zip);
+
+  // Other renditions only get the fields that were edited, so values they
+  // legitimately differ in (language, layout-specific titles) survive
+  const rootfiles = await readRootfiles(zip);
+  const packages = [{ path: opfPath, opf, updates }];
+  if (options.allRenditions) {
+    const edited = editedFields(updates, extractMetadata(opf.package.metadata[0], opf.package.$?.["unique-identifier"]));
+    // A rendition's layout is what sets it apart from the others
+    for (const field of RENDITION_FIELDS) delete edited[field];
+    // Custom metadata entries point at elements of this package
+    delete edited.customMeta;
+    for (const rootfile of rootfiles) {
+      if (rootfile.path === opfPath) continue;
+      packages.push({ path: rootfile.path, opf: await readPackage(zip, rootfile.path), updates: edited });
+    }
+  }
+
+  // Obfuscated fonts are keyed on the default rendition's identifiers; remember
+  // the keys so the fonts can be re-keyed if the edits change them
+  const defaultPackage = packages.find(p => p.path === rootfiles[0].path);
+  const keysBefore = defaultPackage && obfuscationKeys(defaultPackage.opf);
+
+  // Renditions often share the cover image; it is replaced once
+  const replacedCovers = new Map();
+  for (const pkg of packages) {
+    const before = extractMetadata(pkg.opf.package.metadata[0]);
+    const uidBefore = uniqueIdentifierValue(pkg.opf);
+    await updatePackage(zip, pkg.path, pkg.opf, pkg.updates, coverBuffer, options.seriesFormats, replacedCovers);
+    await syncNcxUid(zip, pkg.path, pkg.opf, uidBefore);
+    if (options.syncToc || options.syncPageTitles) {
+      await syncNavigationTitles(zip, pkg.path, pkg.opf, before, extractMetadata(pkg.opf.package.metadata[0]), {
+        toc: options.syncToc,
+        pages: options.syncPageTitles
       });
+    }
+  }
+
+  await removeReplacedCovers(zip, rootfiles, packages, replacedCovers);
+
+  // Apple's display options are one file for the whole book
+  if (DISPLAY_OPTION_FIELDS.some(field => updates[field] !== undefined)) {
+    await writeDisplayOptions(zip, Object.fromEntries(DISPLAY_OPTION_FIELDS
+      .filter(field => updates[field] !== undefined)
+      .map(field => [field, sanitizeMetadataString(String(updates[field]))])), XML_LIMITS);
+  }
+
+  if (defaultPackage) {
+    await rekeyFonts(zip, encryption, keysBefore, defaultPackage.opf);
+  }
+
+  return packEpub(zip);
+}
+
+/**
+ * Replace a package document with edited source (the raw OPF editor)
+ * The source must parse as a package (EpubError otherwise). As with
+ * writeEpub, the NCX dtb:uid follows a new unique identifier and fonts
+ * obfuscated with the default rendition's identifiers are re-keyed.
+ */
+export async function writePackageSource(zip, opfPath, opfXml) {
+  const encryption = await editableEncryption(zip);
+  const rootfiles = await readRootfiles(zip);
+  const before = await readPackage(zip, opfPath);
+  const opf = parsePackage(opfXml, opfPath);
+
+  zip.file(opfPath, opfXml);
+  await syncNcxUid(zip, opfPath, opf, uniqueIdentifierValue(before));
+  if (opfPath === rootfiles[0].path) {
+    await rekeyFonts(zip, encryption, obfuscationKeys(before), opf);
+  }
+
+  return packEpub(zip);
+}
+
+/**
+ * The book's encryption entries, when it may be edited at all: rewriting a
+ * protected package breaks its license or signatures
+ */
+async function editableEncryption(zip) {
+  let encryption;
+  try {
+    encryption = await readEncryption(zip);
+  } catch {
+    encryption = [];
+  }
+  const drm = await detectDrm(zip, encryption);
+  if (drm) {
+    throw new EpubError(
+      EPUB_ERRORS.DRM_PROTECTED,
+      `This book is protected with ${drm.name}. Editing it would stop it from opening in the reading apps it was bought for, so its metadata is read-only.`,
+      drm.details
+    );
+  }
+  return encryption;
+}
+
+/**
+ * Re-key obfuscated fonts for the default rendition's new identifiers
+ */
+async function rekeyFonts(zip, encryption, keysBefore, opf) {
+  try {
+    await rekeyObfuscatedResources(zip, encryption, keysBefore, obfuscationKeys(opf));
+  } catch (err) {
+    throw new EpubError(
+      EPUB_ERRORS.OBFUSCATION_KEY,
+      `${err.message}, so they could not be re-keyed. Keep that identifier to save this book.`,
+      err.path
+    );
+  }
+}
+
+/**
+ * Write the archive back out
+ * Entries the edit didn't touch are copied byte-for-byte from the upload in
+ * their original order; only new or changed ones are compressed. mimetype is
+ * always rewritten first and STORED, as the EPUB spec requires.
+ */
+async function packEpub(zip) {
+  const source = loadedArchives.get(zip);
+  const entries = source && listEntries(source.buffer);
+
+  // JSZip and the central directory can disagree on names that aren't
+  // flagged as UTF-8; let JSZip regenerate such (rare) archives itself
+  if (!source || entries.some(entry => !source.files.has(entry.name))) {
+    zip.file("mimetype", "application/epub+zip", { compression: "STORE" });
+    return zip.generateAsync({
+      type: "nodebuffer",
+      compression: "DEFLATE",
+      compressionOptions: { level: 9 }
+    });
+  }
+
+  const newItem = async (file) => ({
+    name: file.name,
+    data: file.dir ? Buffer.alloc(0) : await file.async("nodebuffer"),
+    store: file.dir || file.options.compression === "STORE",
+    date: file.date
+  });
+
+  const items = [{ name: "mimetype", data: Buffer.from("application/epub+zip"), store: true }];
+  // A duplicated name is read by JSZip from its last occurrence
+  const byName = new Map(entries.map(entry => [entry.name, entry]));
+  byName.delete("mimetype");
+
+  for (const [name, entry] of byName) {
+    const file = zip.files[name];
+    if (!file) continue; // removed by the edit
+    items.push(file === source.files.get(name) ? { source: source.buffer, entry } : await newItem(file));
+  }
+  for (const [name, file] of Object.entries(zip.files)) {
+    if (byName.has(name) || name === "mimetype") continue;
+    // JSZip adds folder entries for new files; ZIP doesn't need them
+    if (file.dir) continue;
+    items.push(await newItem(file));
+  }
+
+  return writeZip(items);
+}
+
+// How the items of list fields are compared; other lists compare by name
+const ITEM_FIELDS = {
+  authors: ["name", "role", "fileAs", "alternateScript", "alternateScriptLang"],
+  contributors: ["name", "role", "fileAs", "alternateScript", "alternateScriptLang"],
+  titles: ["type", "value", "fileAs"],
+  collections: ["name", "type", "position", "identifier"],
+  identifiers: ["value", "scheme", "unique"]
+};
+
+/**
+ * The part of `updates` that differs from `original` (extractMetadata output)
+ * Fields left out are treated as untouched by updatePackage.
+ */
+function editedFields(updates, original) {
+  const itemText = (key, v) => typeof v === "object"
+    ? (ITEM_FIELDS[key]?.map(field => v?.[field] || "").join("|") ?? v?.name)
+    : v;
+  const text = (key, value) => Array.isArray(value)
+    ? value.map(v => itemText(key, v) ?? "").join(", ")
+    : String(value ?? "").trim();
+
+  const edited = {};
+  for (const [key, value] of Object.entries(updates)) {
+    if (value !== undefined && text(key, value) !== text(key, original[key])) {
+      edited[key] = value;
+    }
+  }
+  // These are written as a group
+  if (["title", "subtitle", "titles", "titleModel", "titleSort"].some(key => key in edited)) {
+    edited.title = updates.title;
+    edited.subtitle = updates.subtitle;
+    edited.titles = updates.titles;
+    edited.titleModel = updates.titleModel;
+    edited.titleSort = updates.titleSort;
+  }
+  if (["series", "seriesIndex", "seriesType", "collections"].some(key => key in edited)) {
+    edited.series = updates.series;
+    edited.seriesIndex = updates.seriesIndex;
+    edited.seriesType = updates.seriesType;
+    edited.collections = updates.collections;
+  }
+  return edited;
+}
+
+export const TITLE_TYPES = ["main", "subtitle", "short", "collection", "edition", "expanded"];
+
+/**
+ * Drop the refinements (title-type, display-seq, file-as...) of the current
+ * dc:title elements, before they are replaced
+ */
+function removeTitleRefinements(meta) {
+  const refs = new Set((meta["dc:title"] || []).map(t => t?.$?.id).filter(Boolean).map(id => `#${id}`));
+  meta.meta = (meta.meta || []).filter(m => !refs.has(m?.$?.refines));
+}
+
+/**
+ * The dc:title that names the book: the one refined as the main title, or
+ * else the first one that isn't a subtitle
+ */
+function mainTitleElement(meta) {
+  const titles = meta["dc:title"] || [];
+  const typeOf = (t) => textOf(t?.$?.id && (meta.meta || []).find(m =>
+    m?.$?.refines === `#${t.$.id}` && m.$.property === "title-type"
+  )).trim();
+  return titles.find(t => typeOf(t) === "main") ?? titles.find(t => typeOf(t) !== "subtitle");
+}
+
+/**
+ * The title's sort name: the file-as of the main title, or calibre:title_sort
+ */
+function readTitleSort(meta) {
+  const main = mainTitleElement(meta);
+  const fileAs = main?.$?.id && (meta.meta || []).find(m =>
+    m?.$?.refines === `#${main.$.id}` && m.$.property === "file-as"
+  );
+  const calibre = (meta.meta || []).find(m => m?.$?.name === "calibre:title_sort");
+  return textOf(fileAs).trim() || calibre?.$?.content?.trim() || "";
+}
+
+/**
+ * Write the title's sort name as the file-as of the main title (EPUB 3) and
+ * as calibre:title_sort (EPUB 2, and EPUB 3 books that already have it);
+ * an empty one removes both
+ */
+function writeTitleSort(pkg, titleSort, isEpub2) {
+  const meta = pkg.metadata[0];
+  meta.meta = meta.meta || [];
+
+  const main = mainTitleElement(meta);
+  if (!isEpub2 && main) {
+    const element = typeof main === "string" ? { $: {}, _: main } : main;
+    element.$ = element.$ || {};
+    const fileAs = element.$.id && meta.meta.find(m => m?.$?.refines === `#${element.$.id}` && m.$.property === "file-as");
+    if (!titleSort) {
+      meta.meta = meta.meta.filter(m => m !== fileAs);
+    } else if (fileAs) {
+      if (textOf(fileAs).trim() !== titleSort) fileAs._ = titleSort;
+    } else {
+      element.$.id = element.$.id || uniqueId(new Set(collectIds(pkg)), "title");
+      meta.meta.push({ $: { refines: `#${element.$.id}`, property: "file-as" }, _: titleSort });
+      meta["dc:title"][meta["dc:title"].indexOf(main)] = element;
+    }
+  }
+
+  const calibre = meta.meta.find(m => m?.$?.name === "calibre:title_sort");
+  if (!titleSort) {
+    meta.meta = meta.meta.filter(m => m !== calibre);
+  } else if (calibre) {
+    if (calibre.$.content !== titleSort) calibre.$.content = titleSort;
+  } else if (isEpub2) {
+    meta.meta.push({ $: { name: "calibre:title_sort", content: titleSort } });
+  }
+}
+
+/**
+ * Drop the generated "Title: Subtitle" expanded title from a title list;
+ * it is rebuilt from the main title and subtitle on every write
+ */
+function withoutFallbackTitle(titles) {
+  const main = titles.find(t => t.type === "main")?.value;
+  const subtitle = titles.find(t => t.type === "subtitle")?.value;
+  return titles.filter(t => !(t.type === "expanded" && subtitle && t.value === `${main}: ${subtitle}`));
+}
+
+/**
+ * Write the titles as separate EPUB 3 dc:title elements refined with
+ * title-type, display-seq and file-as. updates.titles is a list of
+ * { type, value, fileAs }; without it the title and subtitle fields are used.
+ * Unless the list has an "expanded" title of its own, a combined
+ * "Title: Subtitle" is written first as the expanded title, so readers that
+ * only look at the first dc:title still show the whole thing.
+ */
+function writeStructuredTitles(pkg, current, updates) {
+  const meta = pkg.metadata[0];
+  const requested = Array.isArray(updates.titles)
+    ? updates.titles
+    : [
+      { type: "main", value: updates.title ?? current.title },
+      { type: "subtitle", value: updates.subtitle ?? current.subtitle }
+    ];
+
+  const titles = withoutFallbackTitle(requested
+    .map(t => ({
+      type: TITLE_TYPES.includes(t?.type) ? t.type : "main",
+      value: sanitizeMetadataString(String(t?.value ?? "")),
+      fileAs: sanitizeMetadataString(String(t?.fileAs ?? "")) || null
+    }))
+    .filter(t => t.value));
+  const main = titles.find(t => t.type === "main");
+  if (!main) return;
+
+  // Expanded first (the fallback), then main and subtitle, then the rest
+  const order = ["expanded", "main", "subtitle"];
+  const rank = (t) => (order.includes(t.type) ? order.indexOf(t.type) : order.length);
+  const key = (list) => [...list]
+    .sort((a, b) => rank(a) - rank(b))
+    .map(t => [t.type, t.value, t.fileAs || ""].join("|"))
+    .join("\n");
+  // Nothing to do when the book already has exactly these titles (the main
+  // title's sort may come from calibre:title_sort, see readTitleSort)
+  const currentTitles = withoutFallbackTitle(current.titles)
+    .map(t => t.type === "main" && !t.fileAs ? { ...t, fileAs: current.titleSort || null } : t);
+  if (key(titles) === key(currentTitles)) return;
+  titles.sort((a, b) => rank(a) - rank(b));
+
+  const subtitle = titles.find(t => t.type === "subtitle");
+  if (subtitle && !titles.some(t => t.type === "expanded")) {
+    titles.unshift({ type: "expanded", value: `${main.value}: ${subtitle.value}`, fileAs: null });
+  }
+
+  removeTitleRefinements(meta);
+  const oldIds = new Set((meta["dc:title"] || []).map(t => t?.$?.id).filter(Boolean));
+  const ids = new Set(collectIds(pkg).filter(id => !oldIds.has(id)));
+
+  let displaySeq = 0;
+  meta["dc:title"] = titles.map(t => {
+    const id = uniqueId(ids, `title-${t.type}`);
+    meta.meta.push({ $: { refines: `#${id}`, property: "title-type" }, _: t.type });
+    // The expanded title is the whole title, not a part of it
+    if (t.type !== "expanded") {
+      meta.meta.push({ $: { refines: `#${id}`, property: "display-seq" }, _: String(++displaySeq) });
+    }
+    if (t.fileAs) {
+      meta.meta.push({ $: { refines: `#${id}`, property: "file-as" }, _: t.fileAs });
+    }
+    return { $: { id }, _: t.value };
+  });
+}
+
+// What a creator or contributor without a role is
+const DEFAULT_ROLES = { "dc:creator": "aut", "dc:contributor": "ctb" };
+
+/**
+ * Write the dc:creator or dc:contributor list in the given order
+ * `people` holds names or { name, role, fileAs, alternateScript,
+ * alternateScriptLang }. A person keeps the element that already has their
+ * name, or else the one at their position if that name is gone (a rename),
+ * so attributes and refinements the editor doesn't show survive. A renamed
+ * person loses their old file-as unless a new one is given.
+ * STRICT EPUB 2/3 SEPARATION: role and file-as go into <meta refines> for
+ * EPUB 3 and opf:role/opf:file-as attributes for EPUB 2; left out
+ * (undefined or null), they stay as they are. EPUB 2 has no alternate-script,
+ * so it is only written to EPUB 3; an empty string removes it. When people
+ * are reordered, display-seq refinements are renumbered to the new order.
+ */
+function writePeople(pkg, key, people, isEpub2) {
+  const meta = pkg.metadata[0];
+  meta.meta = meta.meta || [];
+  const ids = new Set(collectIds(pkg));
+  const defaultRole = DEFAULT_ROLES[key];
+  const idBase = key.slice(3);
+  const list = people
+    .map(person => typeof person === "string" ? { name: person } : person)
+    .map(person => ({ ...person, name: sanitizeMetadataString(person.name) }))
+    .filter(person => person.name);
+
+  const existing = (meta[key] || []).map(c => typeof c === "string" ? { _: c } : c);
+  const leftover = [...existing];
+  const matched = list.map(person => {
+    const match = leftover.find(c => textOf(c).trim() === person.name);
+    leftover.splice(leftover.indexOf(match), match ? 1 : 0);
+    return match;
+  });
+  const renamed = list.map((person, idx) => !matched[idx] && leftover.includes(existing[idx]) ? existing[idx] : undefined);
+
+  const refinements = (element, property) => element.$.id
+    ? meta.meta.filter(m => m?.$?.refines === `#${element.$.id}` && m.$?.property === property)
+    : [];
+  // People who were given a refinement, so their opf: attributes must follow
+  const refined = new Set();
+  const addRefinement = (element, property, value, attributes = {}) => {
+    element.$.id = element.$.id || uniqueId(ids, idBase);
+    refined.add(element);
+    meta.meta.push({
+      $: { refines: `#${element.$.id}`, property, ...(property === "role" ? { scheme: "marc:relators" } : {}), ...attributes },
+      _: value
+    });
+  };
+  const setProperty = (element, property, value, added) => {
+    if (value === undefined || value === null) return;
+    value = sanitizeMetadataString(String(value));
+    const [refine] = refinements(element, property);
+    const attribute = `opf:${property}`;
+    const current = refine ? textOf(refine).trim() : element.$[attribute] || "";
+    // A person without a role has the default one, unless they're new and one is given
+    const same = property === "role" && !added
+      ? (current || defaultRole) === (value || defaultRole)
+      : current === value;
+    if (same) return;
+
+    if (isEpub2) {
+      if (value) element.$[attribute] = value;
+      else delete element.$[attribute];
+      return;
+    }
+    delete element.$[attribute];
+    if (!value) {
+      meta.meta = meta.meta.filter(m => m !== refine);
+    } else if (refine) {
+      refine._ = value;
     } else {
-      delete meta["dc:contributor"];
+      addRefinement(element, property, value);
+    }
+  };
+  const setAlternateScript = (element, name, lang) => {
+    if (isEpub2 || name === undefined || name === null) return;
+    name = sanitizeMetadataString(String(name));
+    lang = sanitizeMetadataString(String(lang ?? ""));
+    const [refine, ...others] = refinements(element, "alternate-script");
+    if (!name) {
+      meta.meta = meta.meta.filter(m => m !== refine && !others.includes(m));
+    } else if (!refine) {
+      addRefinement(element, "alternate-script", name, lang ? { "xml:lang": lang } : {});
+    } else if (textOf(refine).trim() !== name || (refine.$["xml:lang"] || "") !== lang) {
+      refine._ = name;
+      if (lang) refine.$["xml:lang"] = lang;
+      else delete refine.$["xml:lang"];
     }
+  };
+
+  const elements = list.map((person, idx) => {
+    if (renamed[idx]) leftover.splice(leftover.indexOf(renamed[idx]), 1);
+    const added = !matched[idx] && !renamed[idx];
+    const element = matched[idx] ?? renamed[idx] ?? {};
+    element.$ = element.$ || {};
+    element._ = person.name;
+    setProperty(element, "role", person.role, added);
+    setProperty(element, "file-as", person.fileAs ?? (renamed[idx] ? "" : undefined), added);
+    setAlternateScript(element, person.alternateScript, person.alternateScriptLang);
+    // Don't leave a person half in opf: attributes, half in refinements
+    if (refined.has(element)) {
+      for (const property of ["role", "file-as"]) {
+        const value = element.$[`opf:${property}`];
+        delete element.$[`opf:${property}`];
+        if (value) addRefinement(element, property, value);
+      }
+    }
+    return element;
+  });
+  if (elements.length > 0) meta[key] = elements;
+  else delete meta[key];
+
+  // A new order is the display order: display-seq must not contradict it
+  const positions = elements.filter(element => existing.includes(element)).map(element => existing.indexOf(element));
+  const reordered = positions.some((position, idx) => idx > 0 && position < positions[idx - 1]);
+  if (!isEpub2 && reordered && elements.some(element => refinements(element, "display-seq").length > 0)) {
+    elements.forEach((element, idx) => {
+      const [refine, ...others] = refinements(element, "display-seq");
+      meta.meta = meta.meta.filter(m => !others.includes(m));
+      if (refine) refine._ = String(idx + 1);
+      else addRefinement(element, "display-seq", String(idx + 1));
+    });
   }
 
-  // Handle identifier - PRESERVE existing identifiers, only add/update ISBN (Task 7A)
-  if (updates.identifier) {
+  // Refinements of people who were removed go with them
+  const removed = new Set(leftover.map(c => c.$?.id).filter(Boolean).map(id => `#${id}`));
+  meta.meta = meta.meta.filter(m => !removed.has(m?.$?.refines));
+}
+
+/**
+ * Apply metadata updates to one package document
+ * Preserves existing refinements and uses EPUB 3 compliant format
+ * Now with proper XML escaping and identifier preservation
+ * EPUB 2 Compatibility: Does NOT inject EPUB 3 metadata into EPUB 2 files (Part 2A)
+ * Fields whose value didn't change are left untouched, and the OPF is written
+ * as a patch against the original text (see xml.js), so the output only
+ * differs from the input where metadata was actually edited
+ */
+async function updatePackage(zip, opfPath, opf, updates, coverBuffer, seriesFormats, replacedCovers) {
+  const meta = opf.package.metadata[0];
+  const pkg = opf.package;
+
+  // Check EPUB version (Part 2A: EPUB 2 Compatibility)
+  const epubVersion = pkg.$?.version || "3.0";
+  const isEpub2 = epubVersion.startsWith("2");
+
+  // Do NOT upgrade version - preserve original
+  // If it's EPUB 2, keep it as EPUB 2
+
+  // Current values, used to skip fields the user didn't change
+  const current = extractMetadata(meta, pkg.$?.["unique-identifier"]);
+  const sameText = (value, existing) =>
+    sanitizeMetadataString(String(value ?? '')) === String(existing ?? '').trim();
+
+  // Helper to set a simple metadata element with sanitization.
+  // undefined/null = "not edited" (leave as-is); empty string = clear the field.
+  const set = (key, value) => {
+    if (value === undefined || value === null) return;
+    const sanitized = sanitizeMetadataString(String(value));
+    const existing = meta[key]?.[0];
+    if (sanitized === textOf(existing).trim()) return;
+    if (!sanitized) {
+      delete meta[key];
+      return;
+    }
+    // Keep attributes such as xml:lang or opf:event on the element
+    meta[key] = [existing?.$ ? { $: existing.$, _: sanitized } : sanitized];
+  };
+
+  // Initialize meta array if needed
+  meta.meta = meta.meta || [];
+
+  // Custom metadata first: its entries point at elements by their position
+  // among the custom ones, which the writers below leave alone
+  if (Array.isArray(updates.customMeta)) {
+    writeCustomMeta(pkg, updates.customMeta.map(entry => ({
+      ...entry,
+      property: sanitizeMetadataString(entry.property),
+      refines: sanitizeMetadataString(entry.refines),
+      scheme: sanitizeMetadataString(entry.scheme),
+      value: sanitizeMetadataString(entry.value)
+    })).filter(entry => entry.property), { isEpub2 });
+  }
+
+  // Handle title and subtitle
+  // By default they are combined into a single dc:title for maximum reader
+  // compatibility; titleModel "structured" opts in to separate EPUB 3 titles
+  if (updates.titleModel === "structured" && !isEpub2) {
+    writeStructuredTitles(pkg, current, updates);
+  } else {
+    const titleUnchanged = sameText(updates.title, current.title) &&
+      sameText(updates.subtitle ?? current.subtitle, current.subtitle);
+    // Asking for a combined title collapses a structured one
+    const collapse = updates.titleModel === "combined" && current.titleModel === "structured";
+
+    if (updates.title && (!titleUnchanged || collapse)) {
+      const sanitizedTitle = sanitizeMetadataString(updates.title);
+      
+      // Combine title and subtitle into single dc:title
+      // Format: "Title: Subtitle" (colon separator is conventional)
+      let combinedTitle = sanitizedTitle;
+      if (updates.subtitle) {
+        const sanitizedSubtitle = sanitizeMetadataString(updates.subtitle);
+        if (sanitizedSubtitle) {
+          combinedTitle = `${sanitizedTitle}: ${sanitizedSubtitle}`;
+        }
+      }
+      
+      // Single dc:title for both EPUB 2 and EPUB 3; refinements of the old
+      // titles (title-type, display-seq, file-as) no longer apply
+      removeTitleRefinements(meta);
+      meta["dc:title"] = [combinedTitle];
+    }
+  }
+
+  // Title sort; a rewritten title lost its file-as, so that is put back too
+  if (updates.titleSort !== undefined) {
+    const titleSort = sanitizeMetadataString(String(updates.titleSort));
+    if (titleSort !== current.titleSort || readTitleSort(meta) !== current.titleSort) {
+      writeTitleSort(pkg, titleSort, isEpub2);
+    }
+  }
+
+  // Update basic metadata with sanitization
+  set("dc:publisher", updates.publisher);
+  set("dc:date", updates.date);
+  set("dc:description", updates.description);
+  set("dc:rights", updates.rights);
+
+  // Normalize and set language (Task 7D: EPUB 2 fallback handled by normalizeLanguageCode)
+  if (updates.language) {
+    const langResult = normalizeLanguageCode(sanitizeMetadataString(updates.language));
+    if (langResult.code && langResult.code !== textOf(meta["dc:language"]?.[0]).trim()) {
+      meta["dc:language"] = [langResult.code];
+    }
+  }
+
+  // Handle authors - support both array format and single string (backward compat)
+  // Creators are updated in place (see writePeople), so a download keeps
+  // the roles and sort names that were there
+  if (Array.isArray(updates.authors) && updates.authors.length > 0) {
+    writePeople(pkg, "dc:creator", updates.authors, isEpub2);
+  } else if (updates.author && !sameText(updates.author, current.author)) {
+    writePeople(pkg, "dc:creator", [updates.author], isEpub2);
+  }
+
+  // Handle contributors - entries with roles, or comma-separated names (backward compat)
+  if (Array.isArray(updates.contributors)) {
+    writePeople(pkg, "dc:contributor", updates.contributors, isEpub2);
+  } else if (updates.contributors !== undefined) {
+    writePeople(pkg, "dc:contributor", String(updates.contributors).split(','), isEpub2);
+  }
+
+  // Handle identifiers - the whole list from the identifier editor, or else
+  // only the ISBN, preserving the other identifiers (Task 7A)
+  if (Array.isArray(updates.identifiers)) {
+    const ids = new Set(collectIds(pkg));
+    const identifiers = updates.identifiers
+      .map(row => ({ ...row, value: sanitizeMetadataString(row.value), scheme: sanitizeMetadataString(row.scheme) }))
+      .filter(row => row.value);
+    writeIdentifiers(pkg, identifiers, { isEpub2, newId: () => uniqueId(ids, "pub-id") });
+  }
+  const identifierUnchanged = String(updates.identifier ?? '').replace(/[-\s]/g, '') ===
+    current.identifier.replace(/[-\s]/g, '');
+  if (updates.identifier && !identifierUnchanged && !Array.isArray(updates.identifiers)) {
     const sanitizedId = sanitizeMetadataString(updates.identifier);
-    const cleanISBN = sanitizedId.replace(/[-\s]/g, '');
-    const isISBN10 = /^\d{9}[\dX]$/i.test(cleanISBN);
-    const isISBN13 = /^(978|979)\d{10}$/.test(cleanISBN);
+    const isISBN = looksLikeISBN(sanitizedId);
+    const isISBN13 = isISBN && cleanISBN(sanitizedId).length === 13;
     
     // Get existing identifiers
     const existingIdentifiers = meta["dc:identifier"] || [];
@@ -702,12 +2196,9 @@ export async function writeEpub(zip, opfPath, opf, updates, coverBuffer = null)
       const scheme = id?.$?.["opf:scheme"];
       
       // Check if this is an ISBN identifier we should update
-      const cleanValue = value.replace(/^urn:isbn:/i, '').replace(/[-\s]/g, '');
-      const isExistingISBN = scheme === "ISBN" || 
-                              /^\d{9}[\dX]$/i.test(cleanValue) || 
-                              /^(978|979)\d{10}$/.test(cleanValue);
+      const isExistingISBN = scheme === "ISBN" || looksLikeISBN(value);
       
-      if (isExistingISBN && (isISBN10 || isISBN13)) {
+      if (isExistingISBN && isISBN) {
         foundExistingISBN = true;
         // Update this ISBN identifier
         return {
@@ -721,7 +2212,7 @@ export async function writeEpub(zip, opfPath, opf, updates, coverBuffer = null)
     });
     
     // If no existing ISBN found and we have a valid ISBN, add it
-    if (!foundExistingISBN && (isISBN10 || isISBN13)) {
+    if (!foundExistingISBN && isISBN) {
       const newIdAttr = "pub-id";
       updatedIdentifiers.push({
         _: sanitizedId,
@@ -753,12 +2244,11 @@ export async function writeEpub(zip, opfPath, opf, updates, coverBuffer = null)
     meta["dc:identifier"] = updatedIdentifiers;
   }
   
-  // Validate that we have at least one identifier (Task 7C)
-  if (!meta["dc:identifier"] || meta["dc:identifier"].length === 0) {
-    warnings.push("Warning: EPUB requires at least one identifier (dc:identifier)");
-  }
+  const subjectsUnchanged = Array.isArray(updates.subjects) &&
+    updates.subjects.length === current.subjects.length &&
+    updates.subjects.every((s, idx) => sameText(s, textOf(current.subjects[idx])));
 
-  if (Array.isArray(updates.subjects)) {
+  if (Array.isArray(updates.subjects) && !subjectsUnchanged) {
     if (updates.subjects.length > 0) {
       meta["dc:subject"] = updates.subjects.map(s => ({
         _: sanitizeMetadataString(s)
@@ -772,70 +2262,58 @@ export async function writeEpub(zip, opfPath, opf, updates, coverBuffer = null)
   // Initialize meta array if it doesn't exist
   meta.meta = meta.meta || [];
 
-  // Series metadata handling - EPUB 3 only uses belongs-to-collection
-  // For EPUB 2, series info is typically in calibre:series meta tags (handled separately)
-  if (!isEpub2) {
-    // Remove existing series metadata (we'll re-add if needed)
-    meta.meta = meta.meta.filter(m => 
-      m.$?.property !== "belongs-to-collection" && 
-      m.$?.property !== "group-position" &&
-      m.$?.property !== "collection-type" &&
-      !(m.$?.refines?.startsWith("#collection"))
-    );
-
-    // EPUB 3 series metadata
-    if (updates.series) {
-      const sanitizedSeries = sanitizeMetadataString(updates.series);
-      meta.meta.push({
-        $: { property: "belongs-to-collection", id: "collection" },
-        _: sanitizedSeries
-      });
+  // Series and collections: written to the requested conventions (see
+  // series.js); EPUB 3 collections can't go into an EPUB 2 package
+  // (undefined = untouched; empty string = clear the series)
+  if (updates.series !== undefined || updates.collections !== undefined) {
+    const formats = (seriesFormats ?? defaultSeriesFormats(isEpub2)).filter(f => !(isEpub2 && f === "epub3"));
+    const ids = new Set(collectIds(pkg));
+    writeSeries(meta, {
+      name: sanitizeMetadataString(updates.series),
+      index: updates.seriesIndex,
+      type: updates.seriesType
+    }, {
+      formats,
+      newId: () => uniqueId(ids, "collection"),
+      collections: isEpub2 ? undefined : updates.collections?.map(c => ({
+        ...c,
+        name: sanitizeMetadataString(c.name),
+        identifier: sanitizeMetadataString(c.identifier)
+      })).filter(c => c.name)
+    });
+  }
 
-      meta.meta.push({
-        $: { property: "collection-type", refines: "#collection" },
-        _: "series"
-      });
+  // Accessibility metadata (see accessibility.js); fields left out are untouched
+  if (ACCESSIBILITY_FIELDS.some(field => updates[field] !== undefined)) {
+    const accessibility = Object.fromEntries(ACCESSIBILITY_FIELDS
+      .filter(field => updates[field] !== undefined)
+      .map(field => [field, Array.isArray(updates[field])
+        ? updates[field].map(v => sanitizeMetadataString(v)).filter(Boolean)
+        : sanitizeMetadataString(String(updates[field]))]));
+    writeAccessibility(meta, accessibility, { isEpub2 });
+  }
 
-      if (updates.seriesIndex) {
-        meta.meta.push({
-          $: { property: "group-position", refines: "#collection" },
-          _: String(updates.seriesIndex)
-        });
-      }
-    }
+  // Layout, orientation, spread and page progression (see rendition.js);
+  // EPUB 2 has no rendition properties
+  if (!isEpub2 && RENDITION_FIELDS.some(field => updates[field] !== undefined)) {
+    writeRendition(pkg, Object.fromEntries(RENDITION_FIELDS
+      .filter(field => updates[field] !== undefined)
+      .map(field => [field, sanitizeMetadataString(String(updates[field]))])), XML_LIMITS);
+  }
 
+  if (!isEpub2) {
     // Update or add dcterms:modified (required for EPUB 3 only)
-    // Remove existing modified date
-    meta.meta = meta.meta.filter(m => m.$?.property !== "dcterms:modified");
-    
-    // Add new modified date in ISO 8601 format
+    // ISO 8601 format; an existing element is updated in place
     const now = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
-    meta.meta.push({
-      $: { property: "dcterms:modified" },
-      _: now
-    });
-  } else {
-    // EPUB 2: Use calibre-style series meta tags
-    // (undefined = untouched; empty string = clear the series)
-    if (updates.series !== undefined) {
-      // Remove existing calibre series tags
-      meta.meta = meta.meta.filter(m =>
-        m.$?.name !== "calibre:series" &&
-        m.$?.name !== "calibre:series_index"
-      );
-
-      const sanitizedSeries = sanitizeMetadataString(updates.series);
-      if (sanitizedSeries) {
-        meta.meta.push({
-          $: { name: "calibre:series", content: sanitizedSeries }
-        });
-
-        if (updates.seriesIndex) {
-          meta.meta.push({
-            $: { name: "calibre:series_index", content: String(updates.seriesIndex) }
-          });
-        }
-      }
+    const modified = meta.meta.find(m => m.$?.property === "dcterms:modified" && !m.$?.refines);
+    if (modified) {
+      meta.meta = meta.meta.filter(m => m === modified || m.$?.property !== "dcterms:modified" || m.$?.refines);
+      modified._ = now;
+    } else {
+      meta.meta.push({
+        $: { property: "dcterms:modified" },
+        _: now
+      });
     }
   }
 
@@ -853,99 +2331,17 @@ export async function writeEpub(zip, opfPath, opf, updates, coverBuffer = null)
         opf.package.manifest[0].item = [];
       }
       
-      const manifest = opf.package.manifest[0].item;
-      
-      // Find existing cover with safeguards
-      // For EPUB 3: Look for properties="cover-image"
-      // For EPUB 2: Look for meta name="cover" pointing to manifest item
-      let coverItem = null;
-      
-      // Try EPUB 3 properties first
-      if (!isEpub2) {
-        coverItem = manifest.find(item => {
-          if (!item?.$?.properties) return false;
-          return item.$.properties.includes("cover-image");
-        });
-      }
-      
-      // Try EPUB 2 meta cover reference
-      if (!coverItem) {
-        const coverMeta = meta.meta?.find(m => m?.$?.name === "cover");
-        if (coverMeta?.$?.content) {
-          const coverId = coverMeta.$.content;
-          coverItem = manifest.find(item => item?.$?.id === coverId);
-        }
-      }
-      
-      // Fallback: Look for item with "cover" in ID and image media type
-      if (!coverItem) {
-        coverItem = manifest.find(item => {
-          if (!item?.$) return false;
-          return item.$.id?.toLowerCase().includes("cover") && 
-                 item.$["media-type"]?.startsWith("image/");
-        });
-      }
-      
-      if (coverItem && coverItem.$) {
-        const coverPath = coverItem.$.href;
-        const opfDir = path.dirname(opfPath);
-        const fullCoverPath = path.join(opfDir, coverPath).replace(/\\/g, '/');
-        
-        // Update media type if converting to JPEG
-        const isJpeg = coverBuffer[0] === 0xFF && coverBuffer[1] === 0xD8;
-        if (isJpeg) {
-          coverItem.$["media-type"] = "image/jpeg";
-        }
-        
-        // Replace the cover file
-        zip.file(fullCoverPath, coverBuffer);
+      const coverItem = findCoverItem(opf);
+      if (coverItem) {
+        await replaceCover(zip, opfPath, opf, coverItem, coverBuffer, replacedCovers);
       } else {
         // Add new cover if none exists
-        const newCoverId = "cover-image";
-        const newCoverPath = "images/cover.jpg";
-        const opfDir = path.dirname(opfPath);
-        const fullCoverPath = path.join(opfDir, newCoverPath).replace(/\\/g, '/');
-        
-        zip.file(fullCoverPath, coverBuffer);
-        
-        // Create manifest item - handle EPUB 2 vs 3 differently
-        const newManifestItem = {
-          $: {
-            id: newCoverId,
-            href: newCoverPath,
-            "media-type": "image/jpeg"
-          }
-        };
-        
-        // Only add properties="cover-image" for EPUB 3 (Part 2A)
-        if (!isEpub2) {
-          newManifestItem.$.properties = "cover-image";
-        }
-        
-        manifest.push(newManifestItem);
-        
-        // Add cover meta for EPUB 2 compatibility (always add for both versions)
-        meta.meta.push({
-          $: { name: "cover", content: newCoverId }
-        });
+        await installCover(zip, opfPath, opf, coverBuffer, isEpub2);
       }
     } catch (err) {
       console.error("Error replacing cover:", err);
     }
   }
 
-  const builder = new Builder();
-  zip.file(opfPath, builder.buildObject(opf));
-
-  // EPUB spec: the mimetype entry must exist and be STORED (uncompressed).
-  // Re-set it with explicit STORE so the global DEFLATE below doesn't compress it.
-  zip.file("mimetype", "application/epub+zip", { compression: "STORE" });
-
-  // Without an explicit compression option JSZip writes everything STORED,
-  // which roughly doubles output size for typical EPUBs.
-  return zip.generateAsync({
-    type: "nodebuffer",
-    compression: "DEFLATE",
-    compressionOptions: { level: 9 }
-  });
+  zip.file(opfPath, serializeXml(opf));
 }
\ No newline at end of file
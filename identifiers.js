@@ -0,0 +1,180 @@
+/**
+ * Book identifiers (dc:identifier)
+ *
+ * A book usually carries several identifiers: its ISBN, a UUID made up by
+ * the tool that produced it, store ids (ASIN, Google volume id), library
+ * numbers (OCLC, LCCN)... What kind each one is shows in different places:
+ * - EPUB 3: <meta refines="#id" property="identifier-type">, an ONIX code
+ *   list 5 value (scheme="onix:codelist5") or free text
+ * - EPUB 2: the opf:scheme attribute
+ * - the value itself: urn:uuid: and urn:isbn: URNs, calibre's isbn:,
+ *   amazon: and google: prefixes, or its shape (ISBN digits, 10.x/ DOIs)
+ * The package's unique-identifier attribute names the one that identifies
+ * the book. Fonts are obfuscated with it, so changing it re-keys them.
+ */
+
+export const IDENTIFIER_SCHEMES = ["ISBN", "UUID", "ASIN", "DOI", "ISSN", "GOOGLE", "OCLC", "LCCN"];
+
+// ONIX code list 5 values of the schemes it has
+const ONIX_SCHEMES = { "02": "ISBN", "15": "ISBN", "06": "DOI", "13": "LCCN", "23": "OCLC" };
+const ONIX_CODES = { DOI: "06", LCCN: "13", OCLC: "23" };
+
+// Other names tools declare the same schemes with
+const ALIASES = { AMAZON: "ASIN", "MOBI-ASIN": "ASIN", "GOOGLE-BOOKS": "GOOGLE", "OCLC-NUMBER": "OCLC" };
+
+const PREFIXES = [
+  [/^(?:urn:)?isbn:/i, "ISBN"],
+  [/^(?:urn:)?uuid:/i, "UUID"],
+  [/^(?:(?:urn:)?doi:|https?:\/\/(?:dx\.)?doi\.org\/)/i, "DOI"],
+  [/^(?:urn:)?issn:/i, "ISSN"],
+  [/^(?:amazon|asin|mobi-asin):/i, "ASIN"],
+  [/^google:/i, "GOOGLE"],
+  [/^(?:urn:)?oclc:/i, "OCLC"],
+  [/^(?:urn:)?lccn:/i, "LCCN"]
+];
+
+const SHAPES = [
+  [/^(?:\d{9}[\dX]|97[89]\d{10})$/i, "ISBN", (value) => value.replace(/[-\s]/g, "")],
+  [/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i, "UUID"],
+  [/^10\.\d{4,9}\/\S+$/, "DOI"],
+  [/^\d{4}-\d{3}[\dX]$/i, "ISSN"],
+  [/^B0[0-9A-Z]{8}$/, "ASIN"]
+];
+
+const text = (m) => String(typeof m === "string" ? m : m?._ ?? "").trim();
+
+function typeRefinement(metas, id) {
+  return id ? metas.find(m => m?.$?.refines === `#${id}` && m.$.property === "identifier-type") : undefined;
+}
+
+/**
+ * The scheme an identifier element declares, "" if none
+ */
+function declaredScheme(meta, element) {
+  const refine = typeRefinement(meta.meta || [], element?.$?.id);
+  if (refine) {
+    const value = text(refine);
+    return refine.$.scheme === "onix:codelist5" ? ONIX_SCHEMES[value] ?? value : normalizeScheme(value);
+  }
+  return normalizeScheme(element?.$?.["opf:scheme"] || "");
+}
+
+function normalizeScheme(scheme) {
+  const upper = scheme.trim().toUpperCase();
+  if (IDENTIFIER_SCHEMES.includes(upper)) return upper;
+  return ALIASES[upper] ?? scheme.trim();
+}
+
+/**
+ * Recognise the scheme of a bare value, "" if it isn't one we know
+ */
+export function detectScheme(value) {
+  const clean = String(value ?? "").trim();
+  const prefixed = PREFIXES.find(([pattern]) => pattern.test(clean));
+  if (prefixed) return prefixed[1];
+  const shaped = SHAPES.find(([pattern, , prepare]) => pattern.test(prepare ? prepare(clean) : clean));
+  return shaped ? shaped[1] : "";
+}
+
+/**
+ * Every dc:identifier, in document order, as { id, value, scheme, unique }
+ * `scheme` is the declared scheme, or else the one the value shows; `unique`
+ * marks the package's unique-identifier
+ */
+export function readIdentifiers(meta, uniqueIdentifier) {
+  return (meta["dc:identifier"] || []).map(element => {
+    const id = element?.$?.id || "";
+    const value = text(element);
+    return {
+      id,
+      value,
+      scheme: declaredScheme(meta, element) || detectScheme(value),
+      unique: Boolean(id) && id === uniqueIdentifier
+    };
+  });
+}
+
+/**
+ * Declare an identifier's scheme: opf:scheme for EPUB 2, an identifier-type
+ * refinement for EPUB 3 (ONIX codes where the list has one). A UUID URN
+ * says what it is by itself.
+ */
+function setScheme(meta, element, scheme, isEpub2, newId) {
+  if (isEpub2) {
+    if (scheme) element.$["opf:scheme"] = scheme;
+    else delete element.$["opf:scheme"];
+    return;
+  }
+  delete element.$["opf:scheme"];
+  const existing = typeRefinement(meta.meta, element.$.id);
+  meta.meta = meta.meta.filter(m => m !== existing);
+  if (!scheme || (scheme === "UUID" && /^urn:uuid:/i.test(text(element)))) return;
+
+  const digits = text(element).replace(/^(?:urn:)?isbn:/i, "").replace(/[-\s]/g, "");
+  const code = scheme === "ISBN" ? (digits.length === 10 ? "02" : "15") : ONIX_CODES[scheme];
+  element.$.id = element.$.id || newId();
+  meta.meta.push({
+    $: { refines: `#${element.$.id}`, property: "identifier-type", ...(code ? { scheme: "onix:codelist5" } : {}) },
+    _: code || scheme
+  });
+}
+
+/**
+ * Replace the identifiers with `identifiers` ([{ id, value, scheme, unique }])
+ * Rows keep their element (by id, else by value), so attributes and
+ * refinements the editor doesn't show survive; a scheme is only rewritten
+ * when it or a declared identifier's value changed. Identifiers left out are
+ * removed with their refinements. The row marked `unique` becomes the
+ * package's unique-identifier; without one the current one stays if it is
+ * still there, or else the first identifier takes over. `newId()` returns an
+ * id that is unique within the package. An empty list changes nothing, as a
+ * book needs an identifier.
+ */
+export function writeIdentifiers(pkg, identifiers, { isEpub2, newId }) {
+  if (identifiers.length === 0) return;
+  const meta = pkg.metadata[0];
+  meta.meta = meta.meta || [];
+  const uniqueIdentifier = pkg.$?.["unique-identifier"];
+
+  const current = readIdentifiers(meta, uniqueIdentifier);
+  const leftover = (meta["dc:identifier"] || []).map((element, i) => ({ element, ...current[i] }));
+  const take = (match) => {
+    if (match) leftover.splice(leftover.indexOf(match), 1);
+    return match;
+  };
+  const matched = identifiers.map(row => take(row.id && leftover.find(e => e.id === row.id)));
+  identifiers.forEach((row, i) => {
+    matched[i] = matched[i] ?? take(leftover.find(e => e.value === row.value));
+  });
+
+  meta["dc:identifier"] = identifiers.map((row, i) => {
+    const existing = matched[i];
+    const declared = existing && declaredScheme(meta, existing.element);
+    const valueChanged = !existing || existing.value !== row.value;
+    if (existing && !valueChanged && existing.scheme === row.scheme) return existing.element;
+
+    const element = typeof existing?.element === "object" ? existing.element : { $: {} };
+    element.$ = element.$ || {};
+    element._ = row.value;
+    if (!existing || existing.scheme !== row.scheme || (declared && valueChanged)) {
+      setScheme(meta, element, row.scheme, isEpub2, newId);
+    }
+    return element;
+  });
+
+  const removed = new Set(leftover.map(e => e.id).filter(Boolean).map(id => `#${id}`));
+  meta.meta = meta.meta.filter(m => !removed.has(m?.$?.refines));
+
+  const elements = meta["dc:identifier"];
+  let index = identifiers.findIndex(row => row.unique);
+  if (index === -1) index = elements.findIndex(e => uniqueIdentifier && e?.$?.id === uniqueIdentifier);
+  if (index === -1) index = 0;
+  if (typeof elements[index] !== "object") elements[index] = { $: {}, _: elements[index] };
+  const unique = elements[index];
+  unique.$ = unique.$ || {};
+  unique.$.id = unique.$.id || newId();
+  if (uniqueIdentifier !== unique.$.id) {
+    pkg.$ = pkg.$ || {};
+    pkg.$["unique-identifier"] = unique.$.id;
+  }
+}
@@ -0,0 +1,171 @@
+/**
+ * ISBN check digits, conversion and hyphenation
+ *
+ * An ISBN-13 is an EAN.UCC prefix (978 or 979), a registration group (a
+ * language area or country), a registrant (the publisher's prefix), a
+ * publication number and a check digit. How long the group and registrant
+ * elements are depends on the range the number falls in; the ranges come
+ * from the International ISBN Agency's range message, bundled as
+ * data/RangeMessage.xml. An ISBN-10 is a 978 ISBN-13 without the prefix and
+ * with a check digit of its own; 979 ISBNs have no ISBN-10.
+ */
+
+import { readFileSync } from "fs";
+import { parseXml } from "./xml.js";
+
+const RANGE_MESSAGE = new URL("./data/RangeMessage.xml", import.meta.url);
+
+// The language most books of a registration group are in, to suggest one
+// for a book without dc:language (groups of several languages are left out)
+const GROUP_LANGUAGES = {
+  "978-0": "en", "978-1": "en", "978-2": "fr", "978-3": "de", "978-4": "ja", "978-7": "zh",
+  "978-65": "pt", "978-82": "no", "978-83": "pl", "978-84": "es", "978-85": "pt", "978-87": "da",
+  "978-88": "it", "978-89": "ko", "978-90": "nl", "978-91": "sv", "978-94": "nl", "978-951": "fi",
+  "978-952": "fi", "978-963": "hu", "978-972": "pt", "978-989": "pt",
+  "979-10": "fr", "979-11": "ko", "979-12": "it"
+};
+
+const text = (node) => String(typeof node === "string" ? node : node?._ ?? "").trim();
+
+let ranges;
+
+/**
+ * The range message as { prefixes, groups }: maps from "978" and "978-0"
+ * to { agency, rules: [{ from, to, length }] }, read on first use
+ */
+function rangeMessage() {
+  if (ranges) return ranges;
+  const message = parseXml(readFileSync(RANGE_MESSAGE, "utf8")).ISBNRangeMessage;
+  const entries = (list, key) => new Map((list?.[0]?.[key] || []).map(entry => [text(entry.Prefix?.[0]), {
+    agency: text(entry.Agency?.[0]),
+    rules: (entry.Rules?.[0]?.Rule || []).map(rule => {
+      const [from, to] = text(rule.Range?.[0]).split("-");
+      return { from, to, length: Number(text(rule.Length?.[0])) };
+    })
+  }]));
+  ranges = {
+    prefixes: entries(message["EAN.UCCPrefixes"], "EAN.UCC"),
+    groups: entries(message.RegistrationGroups, "Group")
+  };
+  return ranges;
+}
+
+/**
+ * How many of `digits` the next element takes under `rules`; 0 when the
+ * range is unassigned or unknown
+ */
+function elementLength(rules, digits) {
+  const key = digits.slice(0, 7).padEnd(7, "0");
+  return rules?.find(rule => key >= rule.from && key <= rule.to)?.length ?? 0;
+}
+
+/**
+ * Strip an ISBN down to its digits: "urn:isbn:978-0-306-40615-7" and
+ * "ISBN 0 306 40615 2" become "9780306406157" and "0306406152"
+ */
+export function cleanISBN(value) {
+  return String(value ?? "").trim()
+    .replace(/^(?:urn:)?isbn(?:-1[03])?:?\s*/i, "")
+    .replace(/[-\s\u2010-\u2015]/g, "")
+    .toUpperCase();
+}
+
+/**
+ * The check digit for the first 9 (ISBN-10) or 12 (ISBN-13) digits
+ */
+export function isbnCheckDigit(digits) {
+  if (digits.length === 9) {
+    const sum = [...digits].reduce((total, digit, i) => total + Number(digit) * (10 - i), 0);
+    const check = (11 - (sum % 11)) % 11;
+    return check === 10 ? "X" : String(check);
+  }
+  const sum = [...digits.slice(0, 12)].reduce((total, digit, i) => total + Number(digit) * (i % 2 === 0 ? 1 : 3), 0);
+  return String((10 - (sum % 10)) % 10);
+}
+
+/**
+ * Whether a value has the shape of an ISBN-10 or ISBN-13, check digit aside
+ */
+export function looksLikeISBN(value) {
+  return /^(?:\d{9}[\dX]|97[89]\d{10})$/.test(cleanISBN(value));
+}
+
+export function isbn10to13(isbn10) {
+  const base = `978${cleanISBN(isbn10).slice(0, 9)}`;
+  return base + isbnCheckDigit(base);
+}
+
+/**
+ * The ISBN-10 of a 978 ISBN-13, "" for 979 ISBNs, which have none
+ */
+export function isbn13to10(isbn13) {
+  const clean = cleanISBN(isbn13);
+  if (!clean.startsWith("978")) return "";
+  const base = clean.slice(3, 12);
+  return base + isbnCheckDigit(base);
+}
+
+/**
+ * Take an ISBN apart
+ * Returns null when the value isn't shaped like an ISBN, or
+ * { isbn10, isbn13, valid, expectedCheckDigit, prefix, group, groupName,
+ *   registrant, publication, hyphenated, language }: `valid` is whether the
+ * check digit is right (isbn10 and isbn13 are "" when it isn't, and isbn10
+ * for 979 ISBNs), `hyphenated` is in the value's own length and "" (like
+ * registrant and publication) when the range message doesn't cover its
+ * group, `language` the group's usual language if it has one
+ */
+export function parseISBN(value) {
+  if (!looksLikeISBN(value)) return null;
+  const clean = cleanISBN(value);
+  const isShort = clean.length === 10;
+  const expectedCheckDigit = isbnCheckDigit(clean.slice(0, -1));
+  const valid = clean.endsWith(expectedCheckDigit);
+  // Parse the ISBN-13 the digits stand for, whatever the check digit says
+  const isbn13 = isShort ? isbn10to13(clean) : clean;
+
+  const { prefixes, groups } = rangeMessage();
+  const prefix = isbn13.slice(0, 3);
+  const body = isbn13.slice(3, 12);
+  const groupLength = elementLength(prefixes.get(prefix)?.rules, body);
+  const group = body.slice(0, groupLength);
+  const groupKey = `${prefix}-${group}`;
+  const registrantLength = groupLength ? elementLength(groups.get(groupKey)?.rules, body.slice(groupLength)) : 0;
+  const registrant = registrantLength ? body.slice(groupLength, groupLength + registrantLength) : "";
+  const publication = registrant ? body.slice(groupLength + registrantLength) : "";
+
+  const parts = [group, registrant, publication, clean.slice(-1)];
+  return {
+    isbn10: valid ? (isShort ? clean : isbn13to10(clean)) : "",
+    isbn13: valid ? isbn13 : "",
+    valid,
+    expectedCheckDigit,
+    prefix,
+    group,
+    groupName: (group && groups.get(groupKey)?.agency) || "",
+    registrant,
+    publication,
+    hyphenated: registrant ? (isShort ? parts : [prefix, ...parts]).join("-") : "",
+    language: (group && GROUP_LANGUAGES[groupKey]) || ""
+  };
+}
+
+/**
+ * Hyphenate an ISBN in its own length ("9780306406157" → "978-0-306-40615-7");
+ * values the range message doesn't cover, and values that aren't ISBNs, are
+ * returned as given
+ */
+export function hyphenateISBN(value) {
+  return parseISBN(value)?.hyphenated || value;
+}
+
+/**
+ * One line describing where an ISBN comes from, e.g.
+ * "English language (978-0), publisher prefix 978-0-306"
+ */
+export function describeISBN(isbn) {
+  if (!isbn?.group) return "";
+  const group = `${isbn.prefix}-${isbn.group}`;
+  const area = isbn.groupName ? `${isbn.groupName} (${group})` : `registration group ${group}`;
+  return isbn.registrant ? `${area}, publisher prefix ${group}-${isbn.registrant}` : area;
+}
@@ -1,4 +1,5 @@
 import fetch from "node-fetch";
+import { isbn10to13 } from "./isbn.js";
 
 /**
  * Track API errors for user feedback (Task 4 and 8)
@@ -114,7 +115,7 @@ export async function lookupISBN(isbn) {
 
     // Try alternate ISBN format if we have fewer than 2 results
     if (results.length < 2 && clean.length === 10) {
-      const isbn13 = convertISBN10to13(clean);
+      const isbn13 = isbn10to13(clean);
       try {
         const alternate = await lookupGoogleBooks(isbn13);
         if (alternate && !alternate.error) {
@@ -623,23 +624,6 @@ async function lookupGoogleBooks(isbn) {
   }
 }
 
-/**
- * Convert ISBN-10 to ISBN-13
- */
-function convertISBN10to13(isbn10) {
-  const prefix = '978';
-  const base = prefix + isbn10.slice(0, 9);
-  
-  let sum = 0;
-  for (let i = 0; i < 12; i++) {
-    const digit = parseInt(base[i]);
-    sum += (i % 2 === 0) ? digit : digit * 3;
-  }
-  
-  const checkDigit = (10 - (sum % 10)) % 10;
-  return base + checkDigit;
-}
-
 /**
  * Deduplicate results by ISBN or title+author - keep different editions
  */
@@ -0,0 +1,100 @@
+/**
+ * Name sorting (file-as) for creators and contributors
+ *
+ * Libraries and OPDS catalogues sort people by file-as, "Last, First".
+ * fileAsName() derives it from a display name:
+ * - Lowercase particles follow the given names (Gogh, Vincent van;
+ *   Klint, Hilma af); capitalised ones stay with the surname
+ *   (Van Buren, Martin)
+ * - Suffixes go last (King, Martin Luther, Jr.)
+ * - Initials written after the surname are kept there (Tolkien, J. R. R.)
+ * - Corporate names, mononyms, regnal names (Louis XIV) and names ending
+ *   in a one-letter surname (Malcolm X) are filed as written
+ * - Names in Chinese, Japanese and Korean script, or in books in those
+ *   languages, are written family name first already; katakana names
+ *   joined with ・ are Western names and are turned around
+ * A name that already has a comma in it is taken to be sorted.
+ */
+
+const PARTICLES = new Set([
+  "van", "von", "de", "der", "den", "del", "della", "delle", "di", "da", "das", "dos",
+  "du", "la", "le", "af", "av", "zu", "zur", "ten", "ter", "op", "'t"
+]);
+const SUFFIX = /^(?:(?:jr|sr|esq)\.?|ph\.?d\.?|m\.?d\.?|II|III|IV|VI)$/i;
+const ROMAN_NUMERAL = /^(?:II|III|IV|VI)$/;
+const INITIAL = /^(?:\p{Lu}\.?)+$/u;
+// Words that only organizations have in their names
+const CORPORATE = /\b(?:inc|ltd|llc|plc|limited|corp|gmbh|publish\w*|publications?|imprint|books|comics|entertainment|productions?|pictures|records|society|association|university|institute|company|corporation|committee|department|foundation|museum|editors|studios|ministry|commission|verlag|forlag\w*|förlag\w*|uitgeverij|editions|éditions|editorial|ediciones|edizioni)\b|\bco\.(?:\s|$)/i;
+// Words that are surnames too (Christopher House, Peter Board): corporate
+// leading the name, before "of"/"for", or at the end of three or more words
+const ORGANIZATION = /^(?:house|press|board|office|club|college|council|group|team|staff|studio|library|media|agency)$/i;
+// Louis XIV, Pope Benedict XVI
+const REGNAL_NUMERAL = /^(?=[IVXLCDM])M{0,3}(?:CM|CD|D?C{0,3})(?:XC|XL|L?X{0,3})(?:IX|IV|V?I{0,3})$/;
+const CJK_SCRIPT = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+const FAMILY_NAME_FIRST = ["zh", "ja", "ko"];
+// Separators Japanese uses between the parts of a foreign name
+const KATAKANA_SEPARATOR = /[・＝=]/;
+
+const isSuffix = (token) => SUFFIX.test(token) && (!ROMAN_NUMERAL.test(token.replace(/\.$/, "")) || token === token.toUpperCase());
+
+function isCorporate(name) {
+  if (name.includes("&") || /^the\s/i.test(name) || CORPORATE.test(name) || /\b(?:AB|AS|ASA|AG|SA)$/.test(name)) {
+    return true;
+  }
+  const words = name.split(" ");
+  return words.some((word, i) => ORGANIZATION.test(word) &&
+    (i === 0 || /^(?:of|for)$/i.test(words[i + 1] ?? "") || (i === words.length - 1 && words.length >= 3)));
+}
+
+/**
+ * Generate the file-as for a person's name
+ * `language` is the book's dc:language, which decides the name order of
+ * Latin-script names; returns "" for an empty name
+ */
+export function fileAsName(name, language = "") {
+  const clean = String(name ?? "").replace(/\s+/g, " ").trim();
+  if (!clean || isCorporate(clean)) return clean;
+
+  // "Martin Luther King, Jr." and "Martin Luther King Jr."
+  const match = clean.match(/^(.+\s[^\s,]+),?\s+(\S+)$/);
+  const suffix = match && isSuffix(match[2]) ? match[2] : "";
+  const rest = suffix ? match[1] : clean;
+  if (rest.includes(",")) return clean;
+  const tokens = rest.split(" ");
+  const sorted = (surname, given) => `${surname}, ${given}${suffix ? `, ${suffix}` : ""}`;
+
+  if (CJK_SCRIPT.test(rest)) {
+    const western = rest.split(KATAKANA_SEPARATOR);
+    if (western.length > 1) {
+      return sorted(western[western.length - 1], western.slice(0, -1).join("・"));
+    }
+    return tokens.length > 1 ? sorted(tokens[0], tokens.slice(1).join(" ")) : clean;
+  }
+  if (tokens.length === 1) return clean;
+  // Regnal or numbered names and one-letter surnames have no "Last, First"
+  // (unless they end a run of initials: Tolkien J R R)
+  const [previous, final] = tokens.slice(-2);
+  if (!INITIAL.test(previous) && (REGNAL_NUMERAL.test(final) || /^\d+$/.test(final) || /^\p{Lu}$/u.test(final))) {
+    return clean;
+  }
+  if (FAMILY_NAME_FIRST.includes(String(language).toLowerCase().split("-")[0])) {
+    return sorted(tokens[0], tokens.slice(1).join(" "));
+  }
+
+  // "Tolkien J. R. R.": the initials after the surname are the given names
+  const firstInitial = tokens.findIndex(token => INITIAL.test(token));
+  if (firstInitial > 0 && tokens.slice(firstInitial).every(token => INITIAL.test(token))) {
+    return sorted(tokens.slice(0, firstInitial).join(" "), tokens.slice(firstInitial).join(" "));
+  }
+
+  // The surname is the last word with any particles in front of it
+  const last = tokens.length - 1;
+  let start = last;
+  while (start > 1 && PARTICLES.has(tokens[start - 1].toLowerCase())) start--;
+  const particles = tokens.slice(start, last);
+  const given = tokens.slice(0, start);
+  if (particles.length > 0 && particles.every(p => p === p.toLowerCase())) {
+    return sorted(tokens[last], [...given, ...particles].join(" "));
+  }
+  return sorted(tokens.slice(start).join(" "), given.join(" "));
+}
@@ -0,0 +1,110 @@
+import crypto from "crypto";
+
+/**
+ * Embedded font obfuscation
+ *
+ * Font obfuscation XORs the start of a resource with a key derived from the
+ * book's metadata, so changing that metadata without re-keying the fonts
+ * breaks them. Both schemes in the wild are handled:
+ * - IDPF: SHA-1 of the package unique identifier, first 1040 bytes
+ * - Adobe: the 16 bytes of the first urn:uuid identifier, first 1024 bytes
+ */
+
+export const IDPF_OBFUSCATION = "http://www.idpf.org/2008/embedding";
+export const ADOBE_OBFUSCATION = "http://ns.adobe.com/pdf/enc#RC";
+
+const OBFUSCATED_LENGTH = {
+  [IDPF_OBFUSCATION]: 1040,
+  [ADOBE_OBFUSCATION]: 1024
+};
+
+/**
+ * Whether an encryption.xml algorithm is font obfuscation (as opposed to DRM)
+ */
+export function isObfuscation(algorithm) {
+  return algorithm in OBFUSCATED_LENGTH;
+}
+
+const identifierText = (id) => String(typeof id === "string" ? id : id?._ ?? "");
+
+/**
+ * Derive the obfuscation keys from the parsed OPF
+ * Returns { [algorithm]: Buffer | null }; null when the identifier the key
+ * comes from is missing
+ */
+export function obfuscationKeys(opf) {
+  const pkg = opf.package;
+  const identifiers = pkg.metadata?.[0]?.["dc:identifier"] || [];
+
+  const uniqueIdRef = pkg.$?.["unique-identifier"];
+  const unique = identifiers.find(id => id?.$?.id === uniqueIdRef);
+  // The spec strips all XML whitespace, not just the ends
+  const uid = unique ? identifierText(unique).replace(/[\x20\x09\x0D\x0A]/g, "") : "";
+
+  const uuid = identifiers
+    .map(id => identifierText(id).trim())
+    .find(value => /^urn:uuid:/i.test(value));
+  const uuidHex = uuid?.slice(9).replace(/[^0-9a-fA-F]/g, "");
+
+  return {
+    [IDPF_OBFUSCATION]: uid ? crypto.createHash("sha1").update(uid, "utf8").digest() : null,
+    [ADOBE_OBFUSCATION]: uuidHex?.length === 32 ? Buffer.from(uuidHex, "hex") : null
+  };
+}
+
+/**
+ * Apply (or undo - XOR is its own inverse) obfuscation with the given key
+ */
+export function xorObfuscation(data, key, algorithm) {
+  const out = Buffer.from(data);
+  const length = Math.min(out.length, OBFUSCATED_LENGTH[algorithm]);
+  for (let i = 0; i < length; i++) {
+    out[i] ^= key[i % key.length];
+  }
+  return out;
+}
+
+/**
+ * Check the leading bytes for a TrueType/OpenType/WOFF signature
+ */
+export function looksLikeFont(data) {
+  if (data.length < 4) return false;
+  const tag = data.toString("latin1", 0, 4);
+  return data.readUInt32BE(0) === 0x00010000 ||
+    ["OTTO", "true", "typ1", "ttcf", "wOFF", "wOF2"].includes(tag);
+}
+
+/**
+ * Re-key obfuscated resources after the metadata their key derives from changed
+ * `resources` is the list from readEncryption(); keysBefore/keysAfter come from
+ * obfuscationKeys() before and after the edit. Throws if a resource would be
+ * left without a key, since writing it out would break the font for good.
+ */
+export async function rekeyObfuscatedResources(zip, resources, keysBefore, keysAfter) {
+  for (const { path, algorithm } of resources) {
+    if (!isObfuscation(algorithm)) continue;
+
+    const before = keysBefore[algorithm];
+    const after = keysAfter[algorithm];
+    if (before && after && before.equals(after)) continue;
+    if (!before && !after) continue;
+
+    const file = zip.file(path);
+    if (!file) continue;
+
+    if (!after) {
+      const err = new Error(
+        algorithm === IDPF_OBFUSCATION
+          ? "The edit removes the unique identifier that the embedded fonts are obfuscated with"
+          : "The edit removes the urn:uuid identifier that the embedded fonts are obfuscated with"
+      );
+      err.path = path;
+      throw err;
+    }
+    // Without a previous key the font was unreadable anyway; leave it alone
+    if (!before) continue;
+
+    const plain = xorObfuscation(await file.async("nodebuffer"), before, algorithm);
+    zip.file(path, xorObfuscation(plain, after, algorithm));
+  }
+}
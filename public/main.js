@@ -4,12 +4,15 @@ let originalMetadata = {};
 let currentCoverData = null;
 let originalCoverData = null;
 let coverChanged = false;
+let navigationTitles = null;
 
 let coverSearchResults = [];
 let coverSearchPage = 0;
 
-// Track if authors came as array from server
-let authorsIsArray = false;
+// Row being dragged in the author or contributor editor
+let draggedRow = null;
+// EPUB 2 has no refinements, so no alternate-script names either
+let editingEpub2 = false;
 
 // Session timing management (Part 2B)
 let sessionStartTime = null;
@@ -197,6 +200,932 @@ function showWarnings(warnings) {
   banner.classList.remove('hidden');
 }
 
+/**
+ * Lock the editor for DRM-protected books: the metadata stays visible,
+ * but nothing that would change or save it can be used
+ */
+function setReadOnly(readOnly) {
+  document.querySelectorAll('#editor input, #editor textarea, #editor select, #editor button')
+    .forEach(el => { el.disabled = readOnly; });
+  document.getElementById('downloadText').textContent = readOnly
+    ? '🔒 Protected book (read-only)'
+    : '💾 Download Cleaned EPUB';
+}
+
+/**
+ * Fill the editor from an /upload or /rendition response
+ */
+function populateEditor(data) {
+  const m = data.meta || {};
+  originalMetadata = data.originalMeta || m;
+  navigationTitles = data.navigation || null;
+  currentCoverData = data.cover;
+  originalCoverData = data.cover;
+  coverChanged = false;
+
+  // Populate fields
+  document.getElementById('title').value = m.title || '';
+  document.getElementById('subtitle').value = m.subtitle || '';
+  document.getElementById('titleSort').value = m.titleSort || '';
+  // Separate titles and collections are EPUB 3 features
+  const isEpub2 = String(data.version || '').startsWith('2');
+  editingEpub2 = isEpub2;
+  document.getElementById('titlesGroup').classList.toggle('hidden', isEpub2);
+  document.getElementById('collectionsGroup').classList.toggle('hidden', isEpub2);
+  document.getElementById('seriesRow').classList.toggle('hidden', !isEpub2);
+  // and so are the rendition properties; Apple's display options are not
+  document.getElementById('layoutGroup').classList.toggle('hidden', isEpub2);
+  populateTitles(m);
+  populateCreators(m);
+  populateContributors(m);
+  
+  document.getElementById('language').value = m.language || '';
+  document.getElementById('publisher').value = m.publisher || '';
+  document.getElementById('date').value = m.date || '';
+  document.getElementById('identifier').value = m.identifier || '';
+  showIsbnInfo(m.isbnInfo);
+  document.getElementById('series').value = m.series || '';
+  document.getElementById('seriesIndex').value = m.seriesIndex || '';
+  populateCollections(m);
+  populateIdentifiers(m);
+  document.getElementById('description').value = m.description || '';
+  document.getElementById('rights').value = m.rights || '';
+  document.getElementById('subjects').value = (m.subjects || []).join(', ');
+  populateAccessibility(m);
+  populateLayout(m);
+  populateCustomMeta(m);
+
+  // Show cover
+  document.getElementById('coverPreview').innerHTML = data.cover
+    ? `<img src="data:image/jpeg;base64,${data.cover}" alt="Cover">`
+    : '<div class="cover-placeholder">No cover image</div>';
+}
+
+const EXTRA_TITLE_TYPES = ['short', 'collection', 'edition', 'expanded'];
+const TITLE_ORDER = ['expanded', 'main', 'subtitle'];
+
+/**
+ * The generated "Title: Subtitle" expanded title is rebuilt on every save,
+ * so it is left out of the editor and of comparisons
+ */
+function withoutFallbackTitle(titles) {
+  const main = titles.find(t => t.type === 'main')?.value;
+  const subtitle = titles.find(t => t.type === 'subtitle')?.value;
+  return titles.filter(t => !(t.type === 'expanded' && subtitle && t.value === `${main}: ${subtitle}`));
+}
+
+/**
+ * Fill the separate-titles editor from extracted metadata
+ */
+function populateTitles(m) {
+  const titles = withoutFallbackTitle(m.titles || []);
+  document.getElementById('structuredTitles').checked = m.titleModel === 'structured';
+  document.getElementById('subtitleSort').value = titles.find(t => t.type === 'subtitle')?.fileAs || '';
+
+  document.getElementById('extraTitles').innerHTML = '';
+  titles.filter(t => EXTRA_TITLE_TYPES.includes(t.type)).forEach(t => addTitleRow(t));
+  toggleStructuredTitles();
+}
+
+function toggleStructuredTitles() {
+  const structured = document.getElementById('structuredTitles').checked;
+  document.getElementById('titlesEditor').classList.toggle('hidden', !structured);
+  updateDiffPreview();
+}
+
+/**
+ * Add a row for a short, collection, edition or expanded title
+ */
+function addTitleRow(title = {}) {
+  const row = document.createElement('div');
+  row.className = 'title-row extra-title';
+
+  const type = document.createElement('select');
+  type.setAttribute('aria-label', 'Title type');
+  EXTRA_TITLE_TYPES.forEach(t => type.add(new Option(t.charAt(0).toUpperCase() + t.slice(1), t)));
+  type.value = title.type || 'short';
+
+  const value = document.createElement('input');
+  value.placeholder = 'Title';
+  value.value = title.value || '';
+
+  const sort = document.createElement('input');
+  sort.placeholder = 'Sort as (optional)';
+  sort.value = title.fileAs || '';
+
+  const remove = document.createElement('button');
+  remove.type = 'button';
+  remove.className = 'btn btn-secondary btn-small';
+  remove.textContent = '✕';
+  remove.title = 'Remove title';
+  remove.onclick = () => { row.remove(); updateDiffPreview(); };
+
+  [type, value, sort].forEach(el => { el.oninput = updateDiffPreview; });
+  row.append(type, value, sort, remove);
+  document.getElementById('extraTitles').appendChild(row);
+  updateDiffPreview();
+}
+
+/**
+ * The titles for the separate-titles mode, as { type, value, fileAs }
+ */
+function currentTitles() {
+  const rows = [...document.querySelectorAll('#extraTitles .extra-title')].map(row => {
+    const [type, value, sort] = row.querySelectorAll('select, input');
+    return { type: type.value, value: value.value.trim(), fileAs: sort.value.trim() };
+  });
+  return [
+    { type: 'main', value: document.getElementById('title').value.trim(), fileAs: document.getElementById('titleSort').value.trim() },
+    { type: 'subtitle', value: document.getElementById('subtitle').value.trim(), fileAs: document.getElementById('subtitleSort').value.trim() },
+    ...rows
+  ].filter(t => t.value);
+}
+
+/**
+ * One-line summary of a title list for the change preview
+ */
+function describeTitles(titles) {
+  const rank = t => TITLE_ORDER.includes(t.type) ? TITLE_ORDER.indexOf(t.type) : TITLE_ORDER.length;
+  return withoutFallbackTitle(titles)
+    .sort((a, b) => rank(a) - rank(b))
+    .map(t => `${t.type || 'title'}: ${t.value}${t.fileAs ? ` (sort: ${t.fileAs})` : ''}`)
+    .join('; ');
+}
+
+// MARC relator codes offered for creators and contributors
+const CREATOR_ROLES = {
+  aut: 'Author',
+  edt: 'Editor',
+  trl: 'Translator',
+  ill: 'Illustrator',
+  nrt: 'Narrator',
+  aui: 'Author of introduction',
+  aft: 'Author of afterword',
+  ann: 'Annotator',
+  com: 'Compiler',
+  adp: 'Adapter',
+  art: 'Artist',
+  pht: 'Photographer',
+  ctb: 'Contributor',
+  oth: 'Other'
+};
+
+// The role of a person without one, per editor
+const DEFAULT_ROLES = { creators: 'aut', contributors: 'ctb' };
+
+/**
+ * The authors of extracted metadata, as the author editor shows them
+ */
+function metadataCreators(m) {
+  const authors = m.authors?.length > 0 ? m.authors : m.author ? [{ name: m.author }] : [];
+  return authors.map(a => typeof a === 'string' ? { name: a } : a);
+}
+
+/**
+ * The contributors of extracted metadata; older responses have
+ * comma-separated names
+ */
+function metadataContributors(m) {
+  const contributors = Array.isArray(m.contributors)
+    ? m.contributors
+    : String(m.contributors || '').split(',').map(c => c.trim()).filter(Boolean);
+  return contributors.map(c => typeof c === 'string' ? { name: c } : c);
+}
+
+/**
+ * Fill the author editor from extracted metadata
+ */
+function populateCreators(m) {
+  document.getElementById('creators').innerHTML = '';
+  metadataCreators(m).forEach(a => addCreatorRow(a));
+}
+
+/**
+ * Fill the contributor editor
+ */
+function populateContributors(m) {
+  document.getElementById('contributors').innerHTML = '';
+  metadataContributors(m).forEach(c => addContributorRow(c));
+}
+
+/**
+ * Replace the authors with comma-separated names (e.g. from a metadata
+ * lookup), keeping the role and sort name of names that are already there
+ */
+function setAuthorNames(text) {
+  const existing = currentCreators();
+  const names = text.split(',').map(a => a.trim()).filter(Boolean);
+  document.getElementById('creators').innerHTML = '';
+  names.forEach(name => addCreatorRow(existing.find(a => a.name === name) || { name }));
+}
+
+function addCreatorRow(creator = {}) {
+  addPersonRow('creators', creator);
+}
+
+function addContributorRow(contributor = { role: 'trl' }) {
+  addPersonRow('contributors', contributor);
+}
+
+/**
+ * Add a row to the author or contributor editor: name, MARC relator role,
+ * file-as and (EPUB 3) the name in another script with its language
+ */
+function addPersonRow(listId, person) {
+  const row = document.createElement('div');
+  row.className = 'creator-row';
+
+  const handle = document.createElement('span');
+  handle.className = 'drag-handle';
+  handle.textContent = '⠿';
+  handle.title = 'Drag to reorder';
+  // Only the handle starts a drag, so text in the inputs can still be selected
+  handle.onmousedown = () => { row.draggable = true; };
+  row.addEventListener('dragstart', e => {
+    draggedRow = row;
+    row.classList.add('dragging');
+    e.dataTransfer.effectAllowed = 'move';
+  });
+  row.addEventListener('dragend', () => {
+    row.draggable = false;
+    row.classList.remove('dragging');
+    draggedRow = null;
+    updateDiffPreview();
+  });
+  row.addEventListener('dragover', e => {
+    if (!draggedRow || draggedRow === row || draggedRow.parentNode !== row.parentNode) return;
+    e.preventDefault();
+    const { top, height } = row.getBoundingClientRect();
+    row.parentNode.insertBefore(draggedRow, e.clientY < top + height / 2 ? row : row.nextSibling);
+  });
+
+  const name = document.createElement('input');
+  name.className = 'person-name';
+  name.placeholder = 'Name';
+  name.value = person.name || '';
+
+  const role = document.createElement('select');
+  role.className = 'person-role';
+  role.setAttribute('aria-label', 'Role');
+  Object.entries(CREATOR_ROLES).forEach(([code, label]) => role.add(new Option(label, code)));
+  // Keep any other role the book already uses
+  if (person.role && !CREATOR_ROLES[person.role]) {
+    role.add(new Option(person.role, person.role));
+  }
+  role.value = person.role || DEFAULT_ROLES[listId];
+
+  const sort = document.createElement('input');
+  sort.className = 'person-file-as';
+  sort.placeholder = 'Sort as, e.g. Tolkien, J. R. R.';
+  sort.value = person.fileAs || '';
+
+  const script = document.createElement('input');
+  script.className = 'person-script';
+  script.placeholder = 'Name in original script, e.g. 村上春樹';
+  script.value = person.alternateScript || '';
+
+  const scriptLang = document.createElement('input');
+  scriptLang.className = 'person-script-lang';
+  scriptLang.placeholder = 'Lang, e.g. ja';
+  scriptLang.setAttribute('aria-label', 'Language of the original script name');
+  scriptLang.value = person.alternateScriptLang || '';
+
+  [script, scriptLang].forEach(el => el.classList.toggle('hidden', editingEpub2));
+
+  const remove = document.createElement('button');
+  remove.type = 'button';
+  remove.className = 'btn btn-secondary btn-small';
+  remove.textContent = '✕';
+  remove.title = 'Remove';
+  remove.onclick = () => { row.remove(); updateDiffPreview(); };
+
+  [name, role, sort, script, scriptLang].forEach(el => { el.oninput = updateDiffPreview; });
+  row.append(handle, name, role, sort, script, scriptLang, remove);
+  document.getElementById(listId).appendChild(row);
+  updateDiffPreview();
+}
+
+/**
+ * The people in the author or contributor editor, in order, as
+ * { name, role, fileAs, alternateScript, alternateScriptLang }
+ */
+function currentPeople(listId) {
+  return [...document.querySelectorAll(`#${listId} .creator-row`)].map(row => {
+    const value = (cls) => row.querySelector(`.${cls}`).value.trim();
+    return {
+      name: value('person-name'),
+      role: value('person-role'),
+      fileAs: value('person-file-as'),
+      alternateScript: value('person-script'),
+      alternateScriptLang: value('person-script-lang')
+    };
+  }).filter(p => p.name);
+}
+
+/**
+ * People from metadata as currentPeople() reads them back once they fill
+ * the editor, so an untouched list compares equal
+ */
+function asEditedPeople(people, listId) {
+  const value = (v) => String(v ?? '').trim();
+  return people.map(p => ({
+    name: value(p.name),
+    role: value(p.role || DEFAULT_ROLES[listId]),
+    fileAs: value(p.fileAs),
+    alternateScript: value(p.alternateScript),
+    alternateScriptLang: value(p.alternateScriptLang)
+  })).filter(p => p.name);
+}
+
+function currentCreators() {
+  return currentPeople('creators');
+}
+
+/**
+ * Fill empty sort names with ones generated from the names (POST /normalize
+ * with generateFileAs); they stay marked for review until edited
+ */
+async function suggestSortNames() {
+  const metadata = {
+    authors: currentCreators(),
+    contributors: currentPeople('contributors'),
+    language: document.getElementById('language').value.trim()
+  };
+
+  try {
+    const res = await fetch('/normalize', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ metadata, generateFileAs: true })
+    });
+    if (!res.ok) {
+      alert('Failed to generate sort names');
+      return;
+    }
+    const m = (await res.json()).metadata;
+
+    let filled = 0;
+    [['creators', m.authors], ['contributors', m.contributors]].forEach(([listId, people]) => {
+      document.querySelectorAll(`#${listId} .creator-row`).forEach(row => {
+        const sort = row.querySelector('.person-file-as');
+        const name = row.querySelector('.person-name').value.trim();
+        const person = (people || []).find(p => p.name === name);
+        if (sort.value.trim() || !person?.fileAs) return;
+        sort.value = person.fileAs;
+        sort.classList.add('suggested');
+        sort.title = 'Generated sort name - check it before downloading';
+        sort.addEventListener('input', () => {
+          sort.classList.remove('suggested');
+          sort.title = '';
+        }, { once: true });
+        filled++;
+      });
+    });
+    if (filled === 0) {
+      alert('No sort names to suggest: every name has one already or is filed as written');
+    }
+    updateDiffPreview();
+  } catch (err) {
+    console.error(err);
+    alert('Failed to generate sort names');
+  }
+}
+
+/**
+ * One-line summary of an author or contributor list for the change preview
+ */
+function describeCreators(creators, defaultRole = 'aut') {
+  return creators
+    .map(a => typeof a === 'string' ? { name: a } : a)
+    .map(a => [
+      a.name,
+      a.role && a.role !== defaultRole ? ` (${CREATOR_ROLES[a.role] || a.role})` : '',
+      a.fileAs ? ` [${a.fileAs}]` : '',
+      a.alternateScript ? ` / ${a.alternateScript}${a.alternateScriptLang ? ` (${a.alternateScriptLang})` : ''}` : ''
+    ].join(''))
+    .join('; ');
+}
+
+const COLLECTION_TYPES = ['series', 'set'];
+
+function isSeriesCollection(collection) {
+  return !collection.type || COLLECTION_TYPES.includes(collection.type);
+}
+
+/**
+ * Fill the collection editor; a series only found in calibre tags gets a
+ * row too, so saving adds it as an EPUB 3 collection
+ */
+function populateCollections(m) {
+  const collections = m.collections?.length > 0
+    ? m.collections
+    : m.series ? [{ name: m.series, type: 'series', position: m.seriesIndex }] : [];
+  document.getElementById('collections').innerHTML = '';
+  collections.forEach(c => addCollectionRow(c));
+}
+
+/**
+ * Add a row for one series or collection
+ */
+function addCollectionRow(collection = { type: 'series' }) {
+  const row = document.createElement('div');
+  row.className = 'collection-row';
+
+  const name = document.createElement('input');
+  name.placeholder = 'Name, e.g. Discworld';
+  name.value = collection.name || '';
+
+  const type = document.createElement('select');
+  type.setAttribute('aria-label', 'Collection type');
+  type.add(new Option('Series', 'series'));
+  type.add(new Option('Set', 'set'));
+  type.add(new Option('Collection', ''));
+  // Keep any other type the book already uses
+  if (collection.type && !COLLECTION_TYPES.includes(collection.type)) {
+    type.add(new Option(collection.type, collection.type));
+  }
+  type.value = collection.type || '';
+
+  const position = document.createElement('input');
+  position.type = 'number';
+  position.min = '0';
+  position.step = 'any';
+  position.className = 'collection-position';
+  position.placeholder = '#';
+  position.setAttribute('aria-label', 'Position');
+  position.value = collection.position || '';
+
+  const identifier = document.createElement('input');
+  identifier.placeholder = 'Identifier (optional)';
+  identifier.value = collection.identifier || '';
+
+  const remove = document.createElement('button');
+  remove.type = 'button';
+  remove.className = 'btn btn-secondary btn-small';
+  remove.textContent = '✕';
+  remove.title = 'Remove collection';
+  remove.onclick = () => { row.remove(); updateDiffPreview(); };
+
+  [name, type, position, identifier].forEach(el => { el.oninput = updateDiffPreview; });
+  row.append(name, type, position, identifier, remove);
+  document.getElementById('collections').appendChild(row);
+  updateDiffPreview();
+}
+
+/**
+ * The collections in the editor, as { name, type, position, identifier }
+ */
+function currentCollections() {
+  return [...document.querySelectorAll('#collections .collection-row')].map(row => {
+    const [name, type, position, identifier] = row.querySelectorAll('select, input');
+    return {
+      name: name.value.trim(),
+      type: type.value,
+      position: position.value.trim(),
+      identifier: identifier.value.trim()
+    };
+  }).filter(c => c.name);
+}
+
+/**
+ * One-line summary of a collection list for the change preview
+ */
+function describeCollections(collections) {
+  return collections
+    .map(c => `${c.name}${c.position ? ` #${c.position}` : ''}${c.type !== 'series' ? ` (${c.type || 'collection'})` : ''}${c.identifier ? ` [${c.identifier}]` : ''}`)
+    .join('; ');
+}
+
+const IDENTIFIER_SCHEMES = ['ISBN', 'UUID', 'ASIN', 'DOI', 'ISSN', 'GOOGLE', 'OCLC', 'LCCN'];
+const ISBN_PREFIX = /^(?:urn:)?isbn:/i;
+
+/**
+ * Fill the identifier editor with every dc:identifier of the book
+ */
+function populateIdentifiers(m) {
+  document.getElementById('identifiers').innerHTML = '';
+  (m.identifiers || []).forEach(identifier => addIdentifierRow(identifier));
+}
+
+/**
+ * Add a row for one identifier; the radio button marks the unique-identifier
+ */
+function addIdentifierRow(identifier = { scheme: 'ISBN' }) {
+  const row = document.createElement('div');
+  row.className = 'identifier-row';
+  // Ties the row to the element it was read from
+  row.dataset.id = identifier.id || '';
+
+  const uniqueLabel = document.createElement('label');
+  uniqueLabel.className = 'identifier-unique';
+  uniqueLabel.title = 'The unique-identifier of the package; fonts are obfuscated with it';
+  const unique = document.createElement('input');
+  unique.type = 'radio';
+  unique.name = 'uniqueIdentifier';
+  unique.checked = Boolean(identifier.unique);
+  uniqueLabel.append(unique, 'Unique');
+
+  const scheme = document.createElement('select');
+  scheme.setAttribute('aria-label', 'Scheme');
+  IDENTIFIER_SCHEMES.forEach(s => scheme.add(new Option(s, s)));
+  scheme.add(new Option('Other', ''));
+  // Keep any other scheme the book already declares
+  if (identifier.scheme && !IDENTIFIER_SCHEMES.includes(identifier.scheme)) {
+    scheme.add(new Option(identifier.scheme, identifier.scheme));
+  }
+  scheme.value = identifier.scheme || '';
+
+  const value = document.createElement('input');
+  value.placeholder = 'Identifier, e.g. 9780261103344 or urn:uuid:…';
+  value.value = identifier.value || '';
+
+  const remove = document.createElement('button');
+  remove.type = 'button';
+  remove.className = 'btn btn-secondary btn-small';
+  remove.textContent = '✕';
+  remove.title = 'Remove identifier';
+  remove.onclick = () => {
+    if (document.querySelectorAll('#identifiers .identifier-row').length === 1) {
+      alert('An EPUB needs at least one identifier');
+      return;
+    }
+    row.remove();
+    syncIdentifiersToIsbn();
+    updateDiffPreview();
+  };
+
+  [unique, scheme, value].forEach(el => {
+    el.oninput = () => { syncIdentifiersToIsbn(); updateDiffPreview(); };
+  });
+  row.append(uniqueLabel, scheme, value, remove);
+  document.getElementById('identifiers').appendChild(row);
+  updateDiffPreview();
+  return row;
+}
+
+/**
+ * The identifiers in the editor, as { id, value, scheme, unique }
+ */
+function currentIdentifiers() {
+  return [...document.querySelectorAll('#identifiers .identifier-row')].map(row => {
+    const [unique, scheme, value] = row.querySelectorAll('input, select');
+    return {
+      id: row.dataset.id,
+      value: value.value.trim(),
+      scheme: scheme.value,
+      unique: unique.checked
+    };
+  }).filter(i => i.value);
+}
+
+/**
+ * The first ISBN row of the identifier editor
+ */
+function isbnIdentifierRow() {
+  return [...document.querySelectorAll('#identifiers .identifier-row')]
+    .find(row => row.querySelector('select').value === 'ISBN');
+}
+
+/**
+ * Carry the ISBN field over to the identifier editor, keeping a urn:isbn:
+ * prefix the book uses; an ISBN the book didn't have gets a row of its own
+ */
+function syncIsbnToIdentifiers() {
+  const isbn = document.getElementById('identifier').value.trim();
+  if (!isbn) return;
+  const row = isbnIdentifierRow() || addIdentifierRow({ scheme: 'ISBN' });
+  const value = row.querySelector('input:not([type="radio"])');
+  const prefix = value.value.trim().match(ISBN_PREFIX)?.[0] || '';
+  value.value = prefix + isbn;
+}
+
+/**
+ * Show the first ISBN of the identifier editor in the ISBN field
+ */
+function syncIdentifiersToIsbn() {
+  const row = isbnIdentifierRow();
+  if (!row) return;
+  const value = row.querySelector('input:not([type="radio"])').value.trim();
+  document.getElementById('identifier').value = value.replace(ISBN_PREFIX, '');
+}
+
+/**
+ * Show where the ISBN comes from (registration group, publisher prefix)
+ * under the ISBN field; an empty text hides it
+ */
+function showIsbnInfo(info) {
+  const el = document.getElementById('isbnInfo');
+  el.textContent = info || '';
+  el.classList.toggle('hidden', !info);
+}
+
+/**
+ * One-line summary of an identifier list for the change preview
+ */
+function describeIdentifiers(identifiers) {
+  return identifiers
+    .map(i => `${i.unique ? '★ ' : ''}${i.value}${i.scheme ? ` (${i.scheme})` : ''}`)
+    .join('; ');
+}
+
+// schema.org accessibility vocabularies (see accessibility.js)
+const ACCESSIBILITY_CHOICES = {
+  accessMode: ['textual', 'visual', 'auditory', 'tactile', 'chartOnVisual', 'chemOnVisual', 'colorDependent',
+    'diagramOnTactile', 'diagramOnVisual', 'mathOnVisual', 'musicOnVisual', 'textOnVisual'],
+  accessModeSufficient: ['textual', 'visual', 'auditory', 'tactile', 'textual,visual', 'textual,auditory',
+    'auditory,visual'],
+  accessibilityFeature: ['tableOfContents', 'readingOrder', 'structuralNavigation', 'pageNavigation',
+    'pageBreakMarkers', 'index', 'alternativeText', 'longDescription', 'describedMath', 'MathML', 'ChemML',
+    'latex', 'ARIA', 'annotations', 'bookmarks', 'displayTransformability', 'highContrastDisplay',
+    'largePrint', 'synchronizedAudioText', 'ttsMarkup', 'audioDescription', 'captions', 'transcript',
+    'signLanguage', 'timingControl', 'unlocked', 'braille', 'tactileGraphic', 'rubyAnnotations',
+    'horizontalWriting', 'verticalWriting', 'none'],
+  accessibilityHazard: ['none', 'noFlashingHazard', 'noMotionSimulationHazard', 'noSoundHazard', 'flashing',
+    'motionSimulation', 'sound', 'unknown', 'unknownFlashingHazard', 'unknownMotionSimulationHazard',
+    'unknownSoundHazard']
+};
+
+/**
+ * Fill the accessibility editor; terms the book uses outside the lists get
+ * a checkbox of their own
+ */
+function populateAccessibility(m) {
+  Object.entries(ACCESSIBILITY_CHOICES).forEach(([field, choices]) => {
+    const selected = m[field] || [];
+    const grid = document.getElementById(field);
+    grid.innerHTML = '';
+    // Checked terms are sent back in the book's order
+    grid.dataset.order = JSON.stringify(selected);
+    [...choices, ...selected.filter(term => !choices.includes(term))].forEach(term => {
+      const label = document.createElement('label');
+      label.className = 'choice';
+      const box = document.createElement('input');
+      box.type = 'checkbox';
+      box.value = term;
+      box.checked = selected.includes(term);
+      box.onchange = () => {
+        label.classList.remove('suggested');
+        updateDiffPreview();
+      };
+      label.append(box, term);
+      grid.appendChild(label);
+    });
+  });
+  document.getElementById('accessibilitySummary').value = m.accessibilitySummary || '';
+  document.getElementById('conformsTo').value = m.conformsTo || '';
+  document.getElementById('certifiedBy').value = m.certifiedBy || '';
+}
+
+const LAYOUT_FIELDS = ['layout', 'orientation', 'spread', 'pageProgression'];
+const DISPLAY_OPTION_FIELDS = ['appleFixedLayout', 'appleOpenToSpread', 'appleOrientationLock'];
+
+/**
+ * Fill the layout and rendition selects; a value the book uses outside the
+ * vocabulary (like the deprecated spread "portrait") gets an option of its own
+ */
+function populateLayout(m) {
+  [...LAYOUT_FIELDS, ...DISPLAY_OPTION_FIELDS].forEach(field => {
+    const select = document.getElementById(field);
+    select.querySelectorAll('option.book-value').forEach(option => option.remove());
+    const value = m[field] || '';
+    if (![...select.options].some(option => option.value === value)) {
+      const option = document.createElement('option');
+      option.className = 'book-value';
+      option.value = value;
+      option.textContent = value;
+      select.appendChild(option);
+    }
+    select.value = value;
+  });
+}
+
+/**
+ * The checked terms of one accessibility list
+ */
+function checkedChoices(field) {
+  const grid = document.getElementById(field);
+  const order = JSON.parse(grid.dataset.order || '[]');
+  const rank = term => (order.includes(term) ? order.indexOf(term) : order.length);
+  return [...grid.querySelectorAll('input:checked')]
+    .map(box => box.value)
+    .sort((a, b) => rank(a) - rank(b));
+}
+
+/**
+ * Check the accessibility terms the book's content suggests and fill an
+ * empty summary, marking them for review
+ */
+async function suggestAccessibilityMetadata() {
+  if (!sessionId) return;
+  try {
+    const res = await fetch('/accessibility', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ sessionId })
+    });
+    if (!res.ok) {
+      alert('Failed to scan the book');
+      return;
+    }
+    const data = await res.json();
+
+    let added = 0;
+    Object.keys(ACCESSIBILITY_CHOICES).forEach(field => {
+      document.querySelectorAll(`#${field} input`).forEach(box => {
+        if (box.checked || !data.suggestions[field].includes(box.value)) return;
+        box.checked = true;
+        box.parentNode.classList.add('suggested');
+        added++;
+      });
+    });
+    const summary = document.getElementById('accessibilitySummary');
+    if (!summary.value.trim() && data.suggestions.accessibilitySummary) {
+      summary.value = data.suggestions.accessibilitySummary;
+      summary.classList.add('suggested');
+      summary.addEventListener('input', () => summary.classList.remove('suggested'), { once: true });
+      added++;
+    }
+    showWarnings(data.warnings);
+    if (added === 0) {
+      alert('Nothing to add: the book already has every value its content suggests');
+    }
+    updateDiffPreview();
+  } catch (err) {
+    console.error(err);
+    alert('Failed to scan the book');
+  }
+}
+
+/**
+ * Fill the custom metadata editor with the <meta> elements no other field
+ * covers
+ */
+function populateCustomMeta(m) {
+  document.getElementById('customMeta').innerHTML = '';
+  (m.customMeta || []).forEach(entry => addCustomMetaRow(entry));
+}
+
+/**
+ * Add a row for one meta element: its form (EPUB 3 only), property or
+ * name, the element it refines (property form only), scheme and value
+ */
+function addCustomMetaRow(entry = { form: editingEpub2 ? 'name' : 'property' }) {
+  const row = document.createElement('div');
+  row.className = 'custom-meta-row';
+  // Ties the row to the element it was read from
+  row.dataset.index = entry.index ?? '';
+
+  const form = document.createElement('select');
+  form.setAttribute('aria-label', 'Form');
+  form.title = 'property: <meta property="…">value</meta> (EPUB 3); name: <meta name="…" content="value"/>';
+  form.add(new Option('property', 'property'));
+  form.add(new Option('name', 'name'));
+  form.value = entry.form || 'property';
+  // EPUB 2 only has the name form
+  form.classList.toggle('hidden', editingEpub2);
+
+  const field = (placeholder, text) => {
+    const el = document.createElement('input');
+    el.placeholder = placeholder;
+    el.value = text || '';
+    el.oninput = updateDiffPreview;
+    return el;
+  };
+  const property = field('Property or name, e.g. calibre:timestamp', entry.property);
+  const refines = field('Refines, e.g. #creator01', entry.refines);
+  const scheme = field('Scheme', entry.scheme);
+  const value = field('Value', entry.value);
+  value.className = 'custom-meta-value';
+  const toggleRefines = () => refines.classList.toggle('hidden', form.value === 'name');
+  toggleRefines();
+  form.onchange = () => {
+    toggleRefines();
+    updateDiffPreview();
+  };
+
+  const remove = document.createElement('button');
+  remove.type = 'button';
+  remove.className = 'btn btn-secondary btn-small';
+  remove.textContent = '✕';
+  remove.title = 'Remove metadata (and what refines it)';
+  remove.onclick = () => {
+    row.remove();
+    updateDiffPreview();
+  };
+
+  row.append(form, property, refines, scheme, value);
+  // Refinements point at the element by its id
+  if (entry.id) {
+    const id = document.createElement('span');
+    id.className = 'custom-meta-id';
+    id.textContent = `#${entry.id}`;
+    row.appendChild(id);
+  }
+  row.appendChild(remove);
+  document.getElementById('customMeta').appendChild(row);
+  updateDiffPreview();
+  return row;
+}
+
+/**
+ * The custom metadata in the editor, as { index, form, property, refines,
+ * scheme, value }
+ */
+function currentCustomMeta() {
+  return [...document.querySelectorAll('#customMeta .custom-meta-row')].map(row => {
+    const [form, property, refines, scheme, value] = row.querySelectorAll('input, select');
+    return {
+      index: row.dataset.index === '' ? undefined : Number(row.dataset.index),
+      form: form.value,
+      property: property.value.trim(),
+      refines: form.value === 'name' ? '' : refines.value.trim(),
+      scheme: scheme.value.trim(),
+      value: value.value.trim()
+    };
+  }).filter(entry => entry.property);
+}
+
+/**
+ * One-line summary of the custom metadata for the change preview
+ */
+function describeCustomMeta(entries) {
+  return entries
+    .map(e => `${e.property}${e.refines ? ` (${e.refines})` : ''}${e.scheme ? ` [${e.scheme}]` : ''}: ${e.value}`)
+    .join('; ');
+}
+
+/**
+ * Show the rendition picker for multiple-rendition EPUBs
+ */
+function showRenditions(renditions, selected) {
+  const group = document.getElementById('renditionGroup');
+  if (!renditions) {
+    group.classList.add('hidden');
+    return;
+  }
+
+  document.getElementById('rendition').innerHTML = renditions.map((r, idx) => {
+    const details = [r.layout, r.media, r.language].filter(Boolean).join(', ');
+    const name = r.label || r.path;
+    return `<option value="${idx}"${idx === selected ? ' selected' : ''}>${escapeHtml(name)}${details ? ` (${escapeHtml(details)})` : ''}</option>`;
+  }).join('');
+  group.classList.remove('hidden');
+}
+
+async function switchRendition(value) {
+  const rendition = Number(value);
+
+  try {
+    const res = await fetch('/rendition', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ sessionId, rendition })
+    });
+
+    const data = await res.json();
+    if (!res.ok) {
+      alert(data.error || 'Failed to load rendition');
+      return;
+    }
+
+    populateEditor(data);
+    showWarnings(data.warnings);
+    updateDiffPreview();
+    updateOPDSPreview();
+  } catch (err) {
+    console.error(err);
+    alert('Failed to load rendition');
+  }
+}
+
+/**
+ * Options sent along with /download and /validate
+ */
+function writeOptions() {
+  return {
+    allRenditions: applyToAllRenditions(),
+    syncToc: document.getElementById('syncToc').checked,
+    syncPageTitles: document.getElementById('syncPageTitles').checked,
+    seriesFormats: seriesFormats()
+  };
+}
+
+/**
+ * Series conventions to write besides the EPUB 3 collections, which the
+ * collection editor always writes
+ */
+function seriesFormats() {
+  return document.getElementById('seriesCalibre').checked ? ['calibre'] : [];
+}
+
+/**
+ * Whether edits should go to every rendition (only meaningful when there are several)
+ */
+function applyToAllRenditions() {
+  return !document.getElementById('renditionGroup').classList.contains('hidden') &&
+    document.getElementById('allRenditions').checked;
+}
+
 async function handleFile(file) {
   uploadedFile = file;
 
@@ -211,56 +1140,27 @@ async function handleFile(file) {
 
     if (!res.ok) {
       const error = await res.json();
-      alert(error.error || 'Upload failed');
+      let msg = error.error || 'Upload failed';
+      if (error.details) {
+        msg += '\n\nDetails: ' + error.details;
+      }
+      alert(msg);
       return;
     }
 
     const data = await res.json();
     sessionId = data.sessionId;
-    const m = data.meta || {};
-    originalMetadata = data.originalMeta || m;
-    currentCoverData = data.cover;
-    originalCoverData = data.cover;
-    coverChanged = false;
-    
+
     // Start session timer (Part 2B)
     startSessionTimer();
-    
-    // Track if authors are arrays
-    authorsIsArray = Array.isArray(m.authors) && m.authors.length > 0;
 
-    // Populate fields
-    document.getElementById('title').value = m.title || '';
-    document.getElementById('subtitle').value = m.subtitle || '';
-    
-    // Handle authors array - join for display
-    if (authorsIsArray) {
-      document.getElementById('author').value = m.authors.map(a => 
-        typeof a === 'string' ? a : a.name
-      ).join(', ');
-    } else {
-      document.getElementById('author').value = m.author || '';
-    }
-    
-    document.getElementById('contributors').value = m.contributors?.map(c => c.name).join(', ') || '';
-    document.getElementById('language').value = m.language || '';
-    document.getElementById('publisher').value = m.publisher || '';
-    document.getElementById('date').value = m.date || '';
-    document.getElementById('identifier').value = m.identifier || '';
-    document.getElementById('series').value = m.series || '';
-    document.getElementById('seriesIndex').value = m.seriesIndex || '';
-    document.getElementById('description').value = m.description || '';
-    document.getElementById('rights').value = m.rights || '';
-    document.getElementById('subjects').value = (m.subjects || []).join(', ');
-
-    // Show cover
-    if (data.cover) {
-      document.getElementById('coverPreview').innerHTML = 
-        `<img src="data:image/jpeg;base64,${data.cover}" alt="Cover">`;
-    }
+    populateEditor(data);
+    showRenditions(data.renditions, data.rendition);
 
     // Show any warnings
     showWarnings(data.warnings);
+    showCheckReport(data.report);
+    setReadOnly(!!data.drm);
 
     document.getElementById('editor').classList.remove('hidden');
     updateDiffPreview();
@@ -290,26 +1190,26 @@ async function resetMetadata() {
       // Repopulate fields
       document.getElementById('title').value = m.title || '';
       document.getElementById('subtitle').value = m.subtitle || '';
+      document.getElementById('titleSort').value = m.titleSort || '';
+      populateTitles(m);
+      populateCreators(m);
+      populateContributors(m);
       
-      // Handle authors array
-      if (Array.isArray(m.authors) && m.authors.length > 0) {
-        document.getElementById('author').value = m.authors.map(a => 
-          typeof a === 'string' ? a : a.name
-        ).join(', ');
-      } else {
-        document.getElementById('author').value = m.author || '';
-      }
-      
-      document.getElementById('contributors').value = m.contributors?.map(c => c.name).join(', ') || '';
       document.getElementById('language').value = m.language || '';
       document.getElementById('publisher').value = m.publisher || '';
       document.getElementById('date').value = m.date || '';
       document.getElementById('identifier').value = m.identifier || '';
+      showIsbnInfo(m.isbnInfo);
       document.getElementById('series').value = m.series || '';
       document.getElementById('seriesIndex').value = m.seriesIndex || '';
+      populateCollections(m);
+      populateIdentifiers(m);
       document.getElementById('description').value = m.description || '';
       document.getElementById('rights').value = m.rights || '';
       document.getElementById('subjects').value = (m.subjects || []).join(', ');
+      populateAccessibility(m);
+      populateLayout(m);
+      populateCustomMeta(m);
       
       // Reset cover back to the one from the uploaded file
       coverChanged = false;
@@ -398,14 +1298,18 @@ async function normalizeMetadata() {
       // Update fields with normalized values
       document.getElementById('title').value = m.title || '';
       document.getElementById('subtitle').value = m.subtitle || '';
-      document.getElementById('author').value = m.author || '';
-      document.getElementById('contributors').value = m.contributors || '';
+      document.getElementById('titleSort').value = m.titleSort || '';
+      populateCreators(m);
+      populateContributors(m);
       document.getElementById('language').value = m.language || '';
       document.getElementById('publisher').value = m.publisher || '';
       document.getElementById('date').value = m.date || '';
       document.getElementById('identifier').value = m.identifier || '';
+      showIsbnInfo(m.isbnInfo);
       document.getElementById('series').value = m.series || '';
       document.getElementById('seriesIndex').value = m.seriesIndex || '';
+      populateCollections(m);
+      syncIsbnToIdentifiers();
       document.getElementById('description').value = m.description || '';
       document.getElementById('rights').value = m.rights || '';
       document.getElementById('subjects').value = (m.subjects || []).join(', ');
@@ -618,9 +1522,13 @@ function applyCandidate(idx) {
   const candidate = window.currentCandidates[idx];
   
   if (candidate.title) document.getElementById('title').value = candidate.title;
-  if (candidate.author) document.getElementById('author').value = candidate.author;
+  if (candidate.author) setAuthorNames(candidate.author);
   // Only apply ISBN if it exists (Apple Books won't have one)
-  if (candidate.isbn) document.getElementById('identifier').value = candidate.isbn;
+  if (candidate.isbn) {
+    document.getElementById('identifier').value = candidate.isbn;
+    syncIsbnToIdentifiers();
+    showIsbnInfo('');
+  }
   if (candidate.publisher) document.getElementById('publisher').value = candidate.publisher;
   if (candidate.date) document.getElementById('date').value = candidate.date;
   if (candidate.language) document.getElementById('language').value = candidate.language;
@@ -676,6 +1584,8 @@ function applySelectedFields(idx) {
     if (value) {
       if (key === 'subjects' && Array.isArray(value)) {
         document.getElementById(key).value = value.join(', ');
+      } else if (key === 'author') {
+        setAuthorNames(value);
       } else {
         document.getElementById(key).value = value;
       }
@@ -811,26 +1721,46 @@ async function selectCover(url) {
 }
 
 function getCurrentMetadata() {
-  const authorValue = document.getElementById('author').value.trim();
-  
-  // Split authors by comma for array format
-  const authorsArray = authorValue.split(',').map(a => a.trim()).filter(a => a);
+  const authors = currentCreators();
+  const identifiers = currentIdentifiers();
+  const structuredTitles = document.getElementById('structuredTitles').checked &&
+    !document.getElementById('titlesGroup').classList.contains('hidden');
+  const collections = document.getElementById('collectionsGroup').classList.contains('hidden')
+    ? undefined
+    : currentCollections();
+  // The book's series is its first series, set or untyped collection
+  const series = collections?.find(isSeriesCollection);
   
   return {
     title: document.getElementById('title').value.trim(),
     subtitle: document.getElementById('subtitle').value.trim(),
-    author: authorValue, // Keep single string for backward compat
-    authors: authorsArray.map(name => ({ name })), // Array format for EPUB 3
-    contributors: document.getElementById('contributors').value.trim(),
+    titleModel: structuredTitles ? 'structured' : 'combined',
+    titleSort: document.getElementById('titleSort').value.trim(),
+    titles: structuredTitles ? currentTitles() : undefined,
+    author: authors.map(a => a.name).join(', '), // Keep single string for backward compat
+    authors,
+    contributors: currentPeople('contributors'),
     language: document.getElementById('language').value.trim(),
     publisher: document.getElementById('publisher').value.trim(),
     date: document.getElementById('date').value.trim(),
     identifier: document.getElementById('identifier').value.trim(),
-    series: document.getElementById('series').value.trim(),
-    seriesIndex: document.getElementById('seriesIndex').value.trim(),
+    identifiers: identifiers.length > 0 ? identifiers : undefined,
+    series: collections ? series?.name || '' : document.getElementById('series').value.trim(),
+    seriesIndex: collections ? series?.position || '' : document.getElementById('seriesIndex').value.trim(),
+    collections,
     description: document.getElementById('description').value.trim(),
     rights: document.getElementById('rights').value.trim(),
-    subjects: document.getElementById('subjects').value.split(',').map(s => s.trim()).filter(s => s)
+    subjects: document.getElementById('subjects').value.split(',').map(s => s.trim()).filter(s => s),
+    accessMode: checkedChoices('accessMode'),
+    accessModeSufficient: checkedChoices('accessModeSufficient'),
+    accessibilityFeature: checkedChoices('accessibilityFeature'),
+    accessibilityHazard: checkedChoices('accessibilityHazard'),
+    accessibilitySummary: document.getElementById('accessibilitySummary').value.trim(),
+    conformsTo: document.getElementById('conformsTo').value.trim(),
+    certifiedBy: document.getElementById('certifiedBy').value.trim(),
+    ...Object.fromEntries(LAYOUT_FIELDS.map(field => [field, editingEpub2 ? undefined : document.getElementById(field).value])),
+    ...Object.fromEntries(DISPLAY_OPTION_FIELDS.map(field => [field, document.getElementById(field).value])),
+    customMeta: currentCustomMeta()
   };
 }
 
@@ -839,22 +1769,23 @@ function updateDiffPreview() {
   const changes = [];
 
   // Compare relevant fields
-  const fieldsToCompare = ['title', 'subtitle', 'author', 'contributors', 'language', 'publisher', 'date',
-                          'identifier', 'series', 'seriesIndex', 'description', 'rights', 'subjects'];
+  const fieldsToCompare = ['title', 'subtitle', 'titleSort', 'author', 'language', 'publisher', 'date',
+                          'identifier', 'series', 'seriesIndex', 'description', 'rights', 'subjects',
+                          'accessMode', 'accessModeSufficient', 'accessibilityFeature', 'accessibilityHazard',
+                          'accessibilitySummary', 'conformsTo', 'certifiedBy',
+                          ...LAYOUT_FIELDS, ...DISPLAY_OPTION_FIELDS];
 
   fieldsToCompare.forEach(key => {
+    // With the collection editor the series shows up as a collection below
+    if (current.collections && key.startsWith('series')) return;
+    // and the ISBN among the identifiers
+    if (current.identifiers && key === 'identifier') return;
+
     let oldVal = originalMetadata[key];
     let newVal = current[key];
 
-    // Handle authors array
-    if (key === 'author' && Array.isArray(originalMetadata.authors)) {
-      oldVal = originalMetadata.authors.map(a => typeof a === 'string' ? a : a.name).join(', ');
-    }
-
-    // Contributors come from the server as an array of { name, role } objects
-    if (key === 'contributors' && Array.isArray(oldVal)) {
-      oldVal = oldVal.map(c => typeof c === 'string' ? c : c.name).join(', ');
-    }
+    // Authors are compared with their roles and sort names below
+    if (key === 'author') return;
     
     // Convert arrays to strings for comparison
     if (Array.isArray(oldVal)) {
@@ -882,6 +1813,51 @@ function updateDiffPreview() {
     }
   });
 
+  const originalCreators = describeCreators(asEditedPeople(metadataCreators(originalMetadata), 'creators'));
+  const currentCreatorList = describeCreators(current.authors);
+  if (currentCreatorList !== originalCreators) {
+    changes.push({ field: 'Authors', old: originalCreators, new: currentCreatorList });
+  }
+  const originalContributors = describeCreators(asEditedPeople(metadataContributors(originalMetadata), 'contributors'), 'ctb');
+  const currentContributorList = describeCreators(current.contributors, 'ctb');
+  if (currentContributorList !== originalContributors) {
+    changes.push({ field: 'Contributors', old: originalContributors, new: currentContributorList });
+  }
+
+  // Separate titles (only shown once the mode is in play)
+  const originalTitles = describeTitles([...(originalMetadata.titles || [])]);
+  const currentTitleList = current.titles ? describeTitles(current.titles) : '';
+  if (current.titleModel !== (originalMetadata.titleModel || 'combined') ||
+      (current.titles && currentTitleList !== originalTitles)) {
+    changes.push({
+      field: 'Titles',
+      old: originalTitles,
+      new: current.titleModel === 'structured' ? currentTitleList : 'Combined into one title'
+    });
+  }
+
+  if (current.identifiers) {
+    const originalIdentifiers = describeIdentifiers(originalMetadata.identifiers || []);
+    const currentIdentifierList = describeIdentifiers(current.identifiers);
+    if (currentIdentifierList !== originalIdentifiers) {
+      changes.push({ field: 'Identifiers', old: originalIdentifiers, new: currentIdentifierList });
+    }
+  }
+
+  const originalCustomMeta = describeCustomMeta(originalMetadata.customMeta || []);
+  const currentCustomMetaList = describeCustomMeta(current.customMeta);
+  if (currentCustomMetaList !== originalCustomMeta) {
+    changes.push({ field: 'Custom Metadata', old: originalCustomMeta, new: currentCustomMetaList });
+  }
+
+  if (current.collections) {
+    const originalCollections = describeCollections(originalMetadata.collections || []);
+    const currentCollectionList = describeCollections(current.collections);
+    if (currentCollectionList !== originalCollections) {
+      changes.push({ field: 'Collections', old: originalCollections, new: currentCollectionList });
+    }
+  }
+
   if (coverChanged) {
     changes.push({
       field: 'Cover',
@@ -890,6 +1866,9 @@ function updateDiffPreview() {
     });
   }
 
+  changes.push(...seriesChanges(current));
+  changes.push(...navigationChanges(current));
+
   const preview = document.getElementById('diffPreview');
   if (changes.length === 0) {
     preview.classList.add('hidden');
@@ -915,6 +1894,53 @@ function updateDiffPreview() {
   updateOPDSPreview();
 }
 
+/**
+ * Files outside the OPF that a title or author edit will also rewrite,
+ * mirroring what the server does with the sync options
+ */
+function navigationChanges(current) {
+  if (!navigationTitles) return [];
+
+  const fullTitle = m => m.subtitle ? `${m.title}: ${m.subtitle}` : (m.title || '');
+  const names = list => (list || []).map(a => typeof a === 'string' ? a : a.name).join(', ');
+  const oldTitle = fullTitle(originalMetadata);
+  const newTitle = fullTitle(current);
+  const titleChanged = newTitle !== '' && newTitle !== oldTitle;
+  const authorsChanged = names(current.authors) !== '' && names(current.authors) !== names(asEditedPeople(metadataCreators(originalMetadata), 'creators'));
+  const oldTitles = [oldTitle, originalMetadata.title].filter(Boolean);
+
+  const changes = [];
+  const syncToc = document.getElementById('syncToc').checked;
+  const syncPages = document.getElementById('syncPageTitles').checked;
+  const { ncx, nav, pages } = navigationTitles;
+
+  if (syncToc && ncx && titleChanged) {
+    changes.push({ field: `${ncx.path} (title)`, old: ncx.title, new: newTitle });
+  }
+  if (syncToc && ncx && authorsChanged && ncx.authors.length > 0) {
+    changes.push({ field: `${ncx.path} (author)`, old: ncx.authors.join(', '), new: names(current.authors) });
+  }
+  const titled = [...(syncToc && nav ? [nav] : []), ...(syncPages ? pages : [])];
+  if (titleChanged) {
+    titled.filter(doc => oldTitles.includes(doc.title)).forEach(doc => {
+      changes.push({ field: `${doc.path} (<title>)`, old: doc.title, new: newTitle });
+    });
+  }
+  return changes;
+}
+
+/**
+ * A calibre:series tag a save will add to the book
+ */
+function seriesChanges(current) {
+  if (!current.series || !seriesFormats().includes('calibre') ||
+      (originalMetadata.seriesFormats || []).includes('calibre')) {
+    return [];
+  }
+  const value = current.seriesIndex ? `${current.series} #${current.seriesIndex}` : current.series;
+  return [{ field: 'Series (calibre:series)', old: '', new: value }];
+}
+
 function updateOPDSPreview() {
   const metadata = getCurrentMetadata();
   const opdsPreview = document.getElementById('opdsPreview');
@@ -979,6 +2005,198 @@ function updateOPDSPreview() {
   `;
 }
 
+/**
+ * Render an EPUB conformance report into the Check EPUB panel (or another
+ * container). When the report for the edited output is given, issues it
+ * doesn't share with the uploaded file are tagged as introduced by the edits.
+ */
+function showCheckReport(original, output, container = document.getElementById('checkReport')) {
+  const report = output || original;
+  if (!report) {
+    container.innerHTML = '';
+    return;
+  }
+
+  const key = i => `${i.code}|${i.message}|${i.location}`;
+  const known = new Set([...(original?.errors || []), ...(original?.warnings || [])].map(key));
+  const issues = [...report.errors, ...report.warnings];
+
+  let summary;
+  if (issues.length === 0) {
+    summary = output ? '✅ No problems found in the edited EPUB' : '✅ No problems found';
+  } else {
+    summary = `${report.errors.length} error(s), ${report.warnings.length} warning(s)` +
+      (output ? ' in the edited EPUB' : '');
+  }
+
+  container.innerHTML = `<div class="check-summary">${summary}</div>` + issues.map(i => {
+    const introduced = output && !known.has(key(i));
+    return `
+      <div class="check-issue${introduced ? ' new' : ''}">
+        ${i.severity === 'error' ? '❌' : '⚠️'} ${escapeHtml(i.message)}
+        ${introduced ? '<span class="check-tag">new</span>' : ''}
+        ${i.location ? `<span class="check-location">${escapeHtml(i.location)}</span>` : ''}
+      </div>
+    `;
+  }).join('');
+}
+
+async function checkEpub() {
+  if (!sessionId) {
+    alert('Please upload a file first');
+    return;
+  }
+
+  const btn = document.getElementById('checkBtn');
+  btn.disabled = true;
+
+  try {
+    const res = await fetch('/validate', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        sessionId,
+        metadata: getCurrentMetadata(),
+        cover: currentCoverData,
+        coverChanged,
+        ...writeOptions()
+      })
+    });
+
+    const data = await res.json();
+    if (!res.ok) {
+      alert(data.error || 'Check failed');
+      return;
+    }
+
+    showCheckReport(data.original, data.output);
+  } catch (err) {
+    console.error(err);
+    alert('Failed to check EPUB');
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+/**
+ * Open the package document as the download would write it, with the
+ * edits in the form, for editing by hand
+ */
+async function openOpfEditor() {
+  if (!sessionId) {
+    alert('Please upload a file first');
+    return;
+  }
+
+  try {
+    const res = await fetch('/opf', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        sessionId,
+        metadata: getCurrentMetadata(),
+        cover: currentCoverData,
+        coverChanged,
+        ...writeOptions()
+      })
+    });
+
+    const data = await res.json();
+    if (!res.ok) {
+      alert(data.error || 'Failed to load the package document');
+      return;
+    }
+
+    showWarnings(data.warnings);
+    document.getElementById('opfModalTitle').textContent = `🧩 Edit ${data.path}`;
+    document.getElementById('opfSource').value = data.opf;
+    showCheckReport(data.report, null, document.getElementById('opfReport'));
+    document.getElementById('opfModal').classList.remove('hidden');
+  } catch (err) {
+    console.error(err);
+    alert('Failed to load the package document');
+  }
+}
+
+let opfCheckTimer = null;
+let opfCheckRun = 0;
+
+/**
+ * Check the source shortly after the last keystroke; only the latest
+ * check's report is shown
+ */
+function scheduleOpfCheck() {
+  clearTimeout(opfCheckTimer);
+  opfCheckTimer = setTimeout(checkOpfSource, 500);
+}
+
+async function checkOpfSource() {
+  const run = ++opfCheckRun;
+
+  try {
+    const res = await fetch('/opf/check', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ sessionId, opf: document.getElementById('opfSource').value })
+    });
+
+    const data = await res.json();
+    if (run !== opfCheckRun) return;
+    if (!res.ok) {
+      document.getElementById('opfReport').innerHTML = `<div class="check-summary">${escapeHtml(data.error || 'Check failed')}</div>`;
+      return;
+    }
+    showCheckReport(data, null, document.getElementById('opfReport'));
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+/**
+ * Save the source as the session's package document and refill the form
+ * from it
+ */
+async function saveOpfSource() {
+  clearTimeout(opfCheckTimer);
+  const run = ++opfCheckRun;
+  const btn = document.getElementById('opfSaveBtn');
+  btn.disabled = true;
+
+  try {
+    const res = await fetch('/opf/save', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ sessionId, opf: document.getElementById('opfSource').value })
+    });
+
+    const data = await res.json();
+    if (!res.ok) {
+      if (data.report && run === opfCheckRun) {
+        showCheckReport(data.report, null, document.getElementById('opfReport'));
+      }
+      alert(data.error || 'Failed to save the package document');
+      return;
+    }
+
+    populateEditor(data);
+    showWarnings(data.warnings);
+    closeOpfModal();
+    updateDiffPreview();
+    updateOPDSPreview();
+  } catch (err) {
+    console.error(err);
+    alert('Failed to save the package document');
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+function closeOpfModal() {
+  clearTimeout(opfCheckTimer);
+  opfCheckRun++;
+  document.getElementById('opfModal').classList.add('hidden');
+}
+
 function escapeHtml(text) {
   if (!text) return '';
   const div = document.createElement('div');
@@ -1006,12 +2224,17 @@ async function downloadEPUB() {
         sessionId,
         metadata,
         cover: currentCoverData,
-        coverChanged
+        coverChanged,
+        ...writeOptions()
       })
     });
 
     if (!res.ok) {
-      throw new Error('Download failed');
+      // Edits the server refuses to write (e.g. ones that would break the fonts)
+      // come back with an explanation
+      const error = await res.json().catch(() => ({}));
+      alert(error.error || 'Failed to create EPUB');
+      return;
     }
 
     // Use the smart filename the server builds ("Title (Year) - Author.epub"),
@@ -1027,6 +2250,17 @@ async function downloadEPUB() {
     a.click();
     URL.revokeObjectURL(url);
 
+    // Show whether the downloaded file passes the checks
+    const check = await fetch('/validate', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ sessionId })
+    });
+    if (check.ok) {
+      const data = await check.json();
+      showCheckReport(data.original, data.output);
+    }
+
   } catch (err) {
     console.error(err);
     alert('Failed to create EPUB');
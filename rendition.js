@@ -0,0 +1,255 @@
+/**
+ * Rendition metadata: how reading systems lay the book out
+ *
+ * Comics and picture books are fixed-layout. What says so:
+ * - EPUB 3: <meta property="rendition:layout">pre-paginated</meta>, with
+ *   rendition:orientation and rendition:spread, and page-progression-direction
+ *   on the spine (right-to-left for manga). Spine items can override the
+ *   layout with properties="rendition:layout-reflowable" and the like.
+ * - Apple Books: META-INF/com.apple.ibooks.display-options.xml, per platform
+ *   options like <option name="fixed-layout">true</option>; EPUB 2 books
+ *   only have this.
+ * The rendition: prefix is reserved in EPUB 3, but a declaration with
+ * another URI breaks it, and older readers look for the declaration; it is
+ * kept in line with the properties the package uses.
+ */
+
+import { parseXml, serializeXml } from "./xml.js";
+
+export const LAYOUTS = ["reflowable", "pre-paginated"];
+export const ORIENTATIONS = ["auto", "landscape", "portrait"];
+// "portrait" is deprecated, but still read
+export const SPREADS = ["auto", "none", "landscape", "both", "portrait"];
+export const PAGE_PROGRESSIONS = ["ltr", "rtl", "default"];
+export const ORIENTATION_LOCKS = ["portrait-only", "landscape-only", "none"];
+
+export const RENDITION_URI = "http://www.idpf.org/vocab/rendition/#";
+export const DISPLAY_OPTIONS_PATH = "META-INF/com.apple.ibooks.display-options.xml";
+
+// Metadata field → rendition property
+const PROPERTIES = {
+  layout: "rendition:layout",
+  orientation: "rendition:orientation",
+  spread: "rendition:spread"
+};
+// Metadata field → Apple display option
+const DISPLAY_OPTIONS = {
+  appleFixedLayout: "fixed-layout",
+  appleOpenToSpread: "open-to-spread",
+  appleOrientationLock: "orientation-lock"
+};
+
+export const RENDITION_FIELDS = [...Object.keys(PROPERTIES), "pageProgression"];
+export const RENDITION_PROPERTIES = Object.values(PROPERTIES);
+export const DISPLAY_OPTION_FIELDS = Object.keys(DISPLAY_OPTIONS);
+
+const text = (m) => String(typeof m === "string" ? m : m?._ ?? "").trim();
+
+/**
+ * The package-wide meta elements of a rendition property
+ */
+export function renditionElements(meta, property) {
+  return (meta.meta || []).filter(m => m?.$?.property === property && !m.$.refines);
+}
+
+/**
+ * Read the rendition properties and the spine's page progression, "" where
+ * the package doesn't set them
+ */
+export function readRendition(pkg) {
+  const meta = pkg.metadata?.[0] || {};
+  const result = {};
+  for (const [field, property] of Object.entries(PROPERTIES)) {
+    result[field] = text(renditionElements(meta, property)[0]);
+  }
+  result.pageProgression = pkg.spine?.[0]?.$?.["page-progression-direction"] || "";
+  return result;
+}
+
+/**
+ * The layout of one spine item: its own rendition:layout-* property, or
+ * else the package's
+ */
+export function itemLayout(itemref, layout) {
+  const properties = (itemref?.$?.properties || "").split(/\s+/);
+  if (properties.includes("rendition:layout-pre-paginated")) return "pre-paginated";
+  if (properties.includes("rendition:layout-reflowable")) return "reflowable";
+  return layout || "reflowable";
+}
+
+/**
+ * The URI the package's prefix attribute binds `prefix` to, or ""
+ */
+export function declaredPrefix(pkg, prefix) {
+  const pairs = [...String(pkg.$?.prefix || "").matchAll(/(\S+):\s+(\S+)/g)];
+  return pairs.find(([, name]) => name === prefix)?.[2] || "";
+}
+
+/**
+ * Declare rendition: while the package uses it, with the right URI, and
+ * drop the declaration once nothing does
+ */
+function syncRenditionPrefix(pkg) {
+  const meta = pkg.metadata?.[0] || {};
+  const used = (meta.meta || []).some(m => (m?.$?.property || "").startsWith("rendition:")) ||
+    (pkg.spine?.[0]?.itemref || []).some(ref => /(^|\s)rendition:/.test(ref?.$?.properties || ""));
+  const declared = declaredPrefix(pkg, "rendition");
+  const attribute = String(pkg.$?.prefix || "");
+  const pattern = /(^|\s+)rendition:\s+\S+/;
+
+  let prefix = attribute;
+  if (used && !declared) {
+    prefix = `${attribute.trim()} rendition: ${RENDITION_URI}`.trim();
+  } else if (used && declared !== RENDITION_URI) {
+    prefix = attribute.replace(pattern, `$1rendition: ${RENDITION_URI}`);
+  } else if (!used && declared) {
+    prefix = attribute.replace(pattern, "").trim();
+  }
+  if (prefix === attribute) return;
+  pkg.$ = pkg.$ || {};
+  if (prefix) pkg.$.prefix = prefix;
+  else delete pkg.$.prefix;
+}
+
+/**
+ * Write the rendition fields of `updates` into an EPUB 3 package (undefined
+ * ones are left alone, "" removes a property). An existing element is
+ * updated in place; the prefix declaration follows the properties.
+ */
+export function writeRendition(pkg, updates) {
+  const meta = pkg.metadata[0];
+  meta.meta = meta.meta || [];
+  let changed = false;
+
+  for (const [field, property] of Object.entries(PROPERTIES)) {
+    if (updates[field] === undefined) continue;
+    const value = String(updates[field] ?? "").trim();
+    const [current, ...duplicates] = renditionElements(meta, property);
+    if (value === text(current) && duplicates.length === 0) continue;
+    meta.meta = meta.meta.filter(m => !duplicates.includes(m) && (value || m !== current));
+    if (value && current) {
+      current._ = value;
+    } else if (value) {
+      meta.meta.push({ $: { property }, _: value });
+    }
+    changed = true;
+  }
+
+  const spine = pkg.spine?.[0];
+  if (updates.pageProgression !== undefined && spine) {
+    const value = String(updates.pageProgression ?? "").trim();
+    if (value !== (spine.$?.["page-progression-direction"] || "")) {
+      spine.$ = spine.$ || {};
+      if (value) spine.$["page-progression-direction"] = value;
+      else delete spine.$["page-progression-direction"];
+    }
+  }
+
+  if (changed) syncRenditionPrefix(pkg);
+}
+
+/**
+ * The platforms of a parsed display options file, with their options
+ */
+function platforms(doc) {
+  return doc?.display_options?.platform || [];
+}
+
+/**
+ * Parse Apple's display options file, null when the book has none (throws
+ * when it can't be read). `xmlOptions` are the parser's size limits.
+ */
+async function loadDisplayOptions(zip, xmlOptions) {
+  const file = zip.file(DISPLAY_OPTIONS_PATH);
+  return file ? parseXml(await file.async("string"), xmlOptions) : null;
+}
+
+/**
+ * Why Apple's display options file can't be read, "" when it can (or there
+ * is none)
+ */
+export async function displayOptionsError(zip, xmlOptions) {
+  try {
+    await loadDisplayOptions(zip, xmlOptions);
+    return "";
+  } catch (err) {
+    return err.message;
+  }
+}
+
+/**
+ * Read Apple's display options, "" for options the file doesn't set
+ * The "*" (all devices) platform wins over the device-specific ones.
+ */
+export async function readDisplayOptions(zip, xmlOptions) {
+  const result = Object.fromEntries(DISPLAY_OPTION_FIELDS.map(field => [field, ""]));
+  let doc;
+  try {
+    doc = await loadDisplayOptions(zip, xmlOptions);
+  } catch {
+    return result;
+  }
+  if (!doc) return result;
+  const ordered = [...platforms(doc)].sort((a, b) => (b?.$?.name === "*") - (a?.$?.name === "*"));
+  for (const [field, name] of Object.entries(DISPLAY_OPTIONS)) {
+    const option = ordered.flatMap(platform => platform.option || []).find(o => o?.$?.name === name);
+    result[field] = text(option);
+  }
+  return result;
+}
+
+/**
+ * Write the display option fields of `updates` (undefined ones are left
+ * alone, "" removes an option). An option changes on every platform that
+ * sets it; a new one goes to the "*" platform. The file is created when
+ * needed and removed when no options are left in it; a file that can't be
+ * read is left as it is.
+ */
+export async function writeDisplayOptions(zip, updates, xmlOptions) {
+  let doc;
+  try {
+    doc = await loadDisplayOptions(zip, xmlOptions);
+  } catch {
+    // Unreadable: it may still mean something to Apple Books, so it stays
+    return;
+  }
+  const current = await readDisplayOptions(zip, xmlOptions);
+  const edits = DISPLAY_OPTION_FIELDS.filter(field => updates[field] !== undefined &&
+    String(updates[field] ?? "").trim() !== current[field]);
+  if (edits.length === 0) return;
+
+  if (doc?.display_options === undefined) {
+    doc = parseXml('<?xml version="1.0" encoding="UTF-8"?>\n<display_options>\n</display_options>\n');
+  }
+  // An empty root parses as text
+  if (typeof doc.display_options !== "object") doc.display_options = {};
+  const options = doc.display_options;
+
+  for (const field of edits) {
+    const name = DISPLAY_OPTIONS[field];
+    const value = String(updates[field] ?? "").trim();
+    const setting = platforms(doc).filter(platform => (platform.option || []).some(o => o?.$?.name === name));
+    for (const platform of setting) {
+      platform.option = platform.option
+        .map(o => (o?.$?.name === name && value ? { ...o, _: value } : o))
+        .filter(o => o?.$?.name !== name || value);
+    }
+    // A platform that only had this option goes with it
+    options.platform = platforms(doc).filter(platform => !setting.includes(platform) || platform.option.length > 0);
+    if (setting.length === 0 && value) {
+      options.platform = options.platform || [];
+      let all = options.platform.find(platform => platform?.$?.name === "*");
+      if (!all) {
+        all = { $: { name: "*" } };
+        options.platform.push(all);
+      }
+      all.option = [...(all.option || []), { $: { name }, _: value }];
+    }
+  }
+
+  if (platforms(doc).length === 0) {
+    zip.remove(DISPLAY_OPTIONS_PATH);
+    return;
+  }
+  zip.file(DISPLAY_OPTIONS_PATH, serializeXml(doc));
+}
@@ -0,0 +1,210 @@
+/**
+ * Series and collection metadata
+ *
+ * Reading systems look for a book's series in different places:
+ * - EPUB 3: <meta property="belongs-to-collection" id="..."> refined by
+ *   collection-type ("series" or "set"), group-position and
+ *   dcterms:identifier. A book can belong to several collections.
+ * - Calibre: <meta name="calibre:series" content="..."> and
+ *   calibre:series_index, written to EPUB 2 and EPUB 3 alike. Kobo and
+ *   KOReader only read these.
+ * The book's series is its first series, set or untyped collection.
+ * readSeries() reads both conventions and reports where they disagree;
+ * writeSeries() brings the conventions asked for in line with the edits.
+ */
+
+export const SERIES_FORMATS = ["epub3", "calibre"];
+export const COLLECTION_TYPES = ["series", "set"];
+
+/**
+ * What writeEpub writes when no formats are given: each version's own convention
+ */
+export function defaultSeriesFormats(isEpub2) {
+  return isEpub2 ? ["calibre"] : ["epub3"];
+}
+
+const text = (m) => String(typeof m === "string" ? m : m?._ ?? "").trim();
+const sameIndex = (a, b) => (a || "") === (b || "") || (a !== "" && b !== "" && Number(a) === Number(b));
+// Calibre writes "2.0"; show it the way the EPUB 3 collection would
+const formatIndex = (value) => (value && Number.isFinite(Number(value)) ? String(Number(value)) : value || "");
+const isSeries = (collection) => !collection.type || COLLECTION_TYPES.includes(collection.type);
+
+function refinement(metas, id, property) {
+  return id ? metas.find(m => m?.$?.refines === `#${id}` && m.$.property === property) : undefined;
+}
+
+/**
+ * The top-level EPUB 3 collections, in document order
+ * (a collection refining another one says what that one is part of)
+ */
+function epub3Collections(metas) {
+  return metas
+    .filter(m => m?.$?.property === "belongs-to-collection" && !m.$.refines)
+    .map(element => ({
+      element,
+      name: text(element),
+      type: text(refinement(metas, element.$.id, "collection-type")),
+      position: formatIndex(text(refinement(metas, element.$.id, "group-position"))),
+      identifier: text(refinement(metas, element.$.id, "dcterms:identifier"))
+    }));
+}
+
+function calibreSeries(metas) {
+  const named = (name) => metas.find(m => m?.$?.name === name);
+  const name = named("calibre:series")?.$?.content?.trim();
+  if (!name) return null;
+  return { name, index: formatIndex(named("calibre:series_index")?.$?.content?.trim()) };
+}
+
+/**
+ * Read the series from every convention present
+ * Returns { name, index, type, collections, formats, conflicts }: the EPUB 3
+ * collection wins over the calibre tags, `collections` lists every EPUB 3
+ * collection as { name, type, position, identifier }, `formats` the
+ * conventions found and `conflicts` describes where they disagree
+ */
+export function readSeries(meta) {
+  const metas = meta.meta || [];
+  const collections = epub3Collections(metas);
+  const epub3 = collections.find(isSeries);
+  const calibre = calibreSeries(metas);
+
+  const conflicts = [];
+  if (epub3 && calibre) {
+    if (epub3.name !== calibre.name) {
+      conflicts.push(`The EPUB 3 collection names the series "${epub3.name}", but calibre:series says "${calibre.name}"`);
+    } else if (epub3.position && calibre.index && !sameIndex(epub3.position, calibre.index)) {
+      conflicts.push(`The EPUB 3 collection puts this book at position ${epub3.position} in "${epub3.name}", but calibre:series_index says ${calibre.index}`);
+    }
+  }
+
+  return {
+    name: epub3?.name ?? calibre?.name ?? "",
+    // A position only one convention has still applies when the names agree
+    index: epub3?.position || (calibre && (!epub3 || epub3.name === calibre.name) ? calibre.index : ""),
+    type: epub3 ? epub3.type : "series",
+    collections: collections.map(({ element, ...collection }) => collection),
+    formats: SERIES_FORMATS.filter(format => ({ epub3, calibre })[format]),
+    conflicts
+  };
+}
+
+/**
+ * Set or remove the refinement of `id` with the given property
+ */
+function setRefinement(meta, id, property, value) {
+  const existing = refinement(meta.meta, id, property);
+  if (!value) {
+    meta.meta = meta.meta.filter(m => m !== existing);
+  } else if (existing) {
+    existing._ = value;
+  } else {
+    meta.meta.push({ $: { property, refines: `#${id}` }, _: value });
+  }
+}
+
+function setCalibreTag(meta, name, content) {
+  const existing = meta.meta.find(m => m?.$?.name === name);
+  if (!content) {
+    meta.meta = meta.meta.filter(m => m?.$?.name !== name);
+  } else if (existing) {
+    existing.$.content = content;
+  } else {
+    meta.meta.push({ $: { name, content } });
+  }
+}
+
+/**
+ * Remove a collection with everything that refines it, including the
+ * collections it is part of and their own refinements
+ */
+function removeCollection(meta, element) {
+  const removed = new Set([element]);
+  const ids = [element.$.id].filter(Boolean);
+  while (ids.length > 0) {
+    const refines = `#${ids.pop()}`;
+    for (const m of meta.meta) {
+      if (m?.$?.refines === refines && !removed.has(m)) {
+        removed.add(m);
+        if (m.$.id) ids.push(m.$.id);
+      }
+    }
+  }
+  meta.meta = meta.meta.filter(m => !removed.has(m));
+}
+
+/**
+ * Update one collection element, adding it if needed
+ */
+function writeCollection(meta, existing, collection, newId) {
+  let element = existing?.element;
+  if (!element) {
+    element = { $: { property: "belongs-to-collection" } };
+    meta.meta.push(element);
+  }
+  element.$.id = element.$.id || newId();
+  element._ = collection.name;
+  setRefinement(meta, element.$.id, "collection-type", collection.type);
+  if (!sameIndex(existing?.position ?? "", formatIndex(collection.position))) {
+    setRefinement(meta, element.$.id, "group-position", formatIndex(collection.position));
+  }
+  setRefinement(meta, element.$.id, "dcterms:identifier", collection.identifier);
+}
+
+/**
+ * Write the series into the parsed OPF metadata
+ * `series` is { name, index, type } (an empty name removes the series), or
+ * `collections` replaces every EPUB 3 collection ([{ name, type, position,
+ * identifier }], the series being the first series, set or untyped one).
+ * Existing collection elements are updated rather than replaced, so their
+ * ids and what refines them survive.
+ * Each convention in `formats` that doesn't already match is updated, or
+ * added. When the series itself was edited, conventions not in `formats`
+ * that would now contradict it are removed. `newId()` returns an id that is
+ * unique within the package, for new collection elements.
+ */
+export function writeSeries(meta, series, { formats, newId, collections }) {
+  meta.meta = meta.meta || [];
+  const current = readSeries(meta);
+
+  if (collections) {
+    // A collection stays on the element that has its name, so what refines
+    // it stays too; renamed ones take over the leftover elements in order
+    const existing = epub3Collections(meta.meta);
+    const matched = collections.map(collection => {
+      const match = existing.find(e => e.name === collection.name);
+      existing.splice(existing.indexOf(match), match ? 1 : 0);
+      return match;
+    });
+    collections.forEach((collection, i) => writeCollection(meta, matched[i] ?? existing.shift(), collection, newId));
+    existing.forEach(collection => removeCollection(meta, collection.element));
+    const primary = epub3Collections(meta.meta).find(isSeries);
+    series = { name: primary?.name, index: primary?.position, type: primary?.type ?? "series" };
+  }
+
+  const name = series.name || "";
+  const index = formatIndex(series.index);
+  const type = series.type ?? current.type;
+  const edited = name !== current.name || !sameIndex(index, current.index) ||
+    (current.formats.includes("epub3") && type !== current.type);
+
+  const epub3 = epub3Collections(meta.meta).find(isSeries);
+  const epub3Matches = name
+    ? epub3 && epub3.name === name && sameIndex(epub3.position, index) && epub3.type === type
+    : !epub3;
+  if (!collections && !epub3Matches && (formats.includes("epub3") || (edited && epub3))) {
+    if (name && formats.includes("epub3")) {
+      writeCollection(meta, epub3, { ...epub3, name, type, position: index }, newId);
+    } else {
+      removeCollection(meta, epub3.element);
+    }
+  }
+
+  const calibre = calibreSeries(meta.meta);
+  const calibreMatches = name ? calibre && calibre.name === name && sameIndex(calibre.index, index) : !calibre;
+  if (!calibreMatches && (formats.includes("calibre") || (edited && calibre))) {
+    const write = name && formats.includes("calibre");
+    setCalibreTag(meta, "calibre:series", write ? name : "");
+    setCalibreTag(meta, "calibre:series_index", write ? index : "");
+  }
+}
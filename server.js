@@ -9,10 +9,18 @@ import {
   readEpub, 
   extractMetadata, 
   writeEpub, 
+  writePackageSource,
   getCoverImage,
   normalizeMetadata,
   optimizeCover,
-  normalizeLanguageCode
+  normalizeLanguageCode,
+  readNavigationTitles,
+  EpubError,
+  EPUB_ERRORS,
+  obfuscatedResources,
+  scanAccessibility,
+  TITLE_TYPES,
+  XML_LIMITS
 } from "./epub.js";
 import { 
   lookupISBN, 
@@ -20,6 +28,27 @@ import {
   searchCovers,
   fetchCoverImage 
 } from "./metadata.js";
+import { validateEpub, validatePackageSource } from "./validate.js";
+import { SERIES_FORMATS, COLLECTION_TYPES } from "./series.js";
+import { parseISBN, cleanISBN } from "./isbn.js";
+import {
+  ACCESS_MODES,
+  SUFFICIENT_ACCESS_MODES,
+  ACCESSIBILITY_FEATURES,
+  ACCESSIBILITY_HAZARDS,
+  suggestAccessibility
+} from "./accessibility.js";
+import {
+  LAYOUTS,
+  ORIENTATIONS,
+  SPREADS,
+  PAGE_PROGRESSIONS,
+  ORIENTATION_LOCKS,
+  readRendition,
+  readDisplayOptions,
+  displayOptionsError
+} from "./rendition.js";
+import { isManagedMeta, availablePrefixes } from "./custommeta.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -41,7 +70,9 @@ const MAX_LENGTHS = {
   rights: 1000,
   series: 500,
   seriesIndex: 10,
-  subject: 200
+  subject: 200,
+  accessibilitySummary: 2000,
+  conformsTo: 500
 };
 
 /**
@@ -55,10 +86,39 @@ function sanitizeString(value, maxLength = 1000) {
   return sanitized;
 }
 
+/**
+ * Sanitize a list of authors or contributors: names or { name, role, fileAs,
+ * alternateScript, alternateScriptLang }
+ * Properties left out keep what the book has; an empty string clears them
+ */
+function sanitizePeople(people, warnings) {
+  const optional = (value, maxLength) => typeof value === 'string' ? sanitizeString(value, maxLength) : undefined;
+  return people.slice(0, 20).map(person => {
+    if (typeof person === 'string') {
+      return { name: sanitizeString(person, MAX_LENGTHS.author) };
+    }
+    let lang = optional(person?.alternateScriptLang, 35);
+    // A BCP 47 language tag, like "ja" or "zh-Hant"
+    if (lang && !/^[a-z]{2,8}(-[a-z0-9]{1,8})*$/i.test(lang)) {
+      warnings.push(`Alternate-script language "${lang}" is not a language code and was left out`);
+      lang = '';
+    }
+    return {
+      name: sanitizeString(person?.name, MAX_LENGTHS.author),
+      role: person?.role ? sanitizeString(person.role, 20) : undefined,
+      fileAs: optional(person?.fileAs, MAX_LENGTHS.author),
+      alternateScript: optional(person?.alternateScript, MAX_LENGTHS.author),
+      alternateScriptLang: lang
+    };
+  }).filter(p => p.name);
+}
+
 /**
  * Validate and sanitize metadata object from client
+ * `session` is the book the metadata is for, which decides the prefixes
+ * custom metadata can use.
  */
-function validateMetadata(metadata) {
+function validateMetadata(metadata, session = {}) {
   if (!metadata || typeof metadata !== 'object') {
     return { valid: false, error: 'Invalid metadata object' };
   }
@@ -75,6 +135,23 @@ function validateMetadata(metadata) {
   if (metadata.subtitle !== undefined) {
     sanitized.subtitle = sanitizeString(metadata.subtitle, MAX_LENGTHS.subtitle);
   }
+  if (metadata.titleSort !== undefined) {
+    sanitized.titleSort = sanitizeString(metadata.titleSort, MAX_LENGTHS.title);
+  }
+  if (metadata.titleModel === 'structured' || metadata.titleModel === 'combined') {
+    sanitized.titleModel = metadata.titleModel;
+  }
+  // Separate EPUB 3 titles: { type, value, fileAs }
+  if (Array.isArray(metadata.titles)) {
+    sanitized.titles = metadata.titles.slice(0, 20)
+      .filter(t => t && TITLE_TYPES.includes(t.type))
+      .map(t => ({
+        type: t.type,
+        value: sanitizeString(t.value, MAX_LENGTHS.title),
+        fileAs: t.fileAs ? sanitizeString(t.fileAs, MAX_LENGTHS.title) : null
+      }))
+      .filter(t => t.value);
+  }
   if (metadata.author) {
     sanitized.author = sanitizeString(metadata.author, MAX_LENGTHS.author);
   }
@@ -83,10 +160,12 @@ function validateMetadata(metadata) {
   }
   if (metadata.identifier) {
     sanitized.identifier = sanitizeString(metadata.identifier, MAX_LENGTHS.identifier);
-    // Validate ISBN format if provided
-    const cleanISBN = sanitized.identifier.replace(/[-\s]/g, '');
-    if (cleanISBN && !/^(\d{9}[\dX]|\d{13})$/i.test(cleanISBN)) {
+    // Validate the ISBN's format and check digit if provided
+    const isbn = parseISBN(sanitized.identifier);
+    if (sanitized.identifier && !isbn) {
       warnings.push('ISBN format may be invalid');
+    } else if (isbn && !isbn.valid) {
+      warnings.push(`ISBN ${sanitized.identifier} has a wrong check digit; it should end in ${isbn.expectedCheckDigit}`);
     }
   }
   if (metadata.language) {
@@ -114,10 +193,57 @@ function validateMetadata(metadata) {
       sanitized.seriesIndex = idx;
     }
   }
-  if (metadata.contributors !== undefined) {
+  if (COLLECTION_TYPES.includes(metadata.seriesType)) {
+    sanitized.seriesType = metadata.seriesType;
+  }
+  // EPUB 3 collections: { name, type, position, identifier }; types other
+  // than series/set that a book already uses are passed through
+  if (Array.isArray(metadata.collections)) {
+    sanitized.collections = metadata.collections.slice(0, 20)
+      .filter(c => c && typeof c === 'object')
+      .map(c => {
+        const position = String(c.position ?? '').trim();
+        return {
+          name: sanitizeString(c.name, MAX_LENGTHS.series),
+          type: sanitizeString(c.type, 50),
+          position: /^\d+(\.\d+)?$/.test(position) ? position : '',
+          identifier: sanitizeString(c.identifier, MAX_LENGTHS.series)
+        };
+      })
+      .filter(c => c.name);
+  }
+  // Contributors: entries like authors, or comma-separated names
+  if (Array.isArray(metadata.contributors)) {
+    sanitized.contributors = sanitizePeople(metadata.contributors, warnings);
+  } else if (metadata.contributors !== undefined) {
     sanitized.contributors = sanitizeString(metadata.contributors, MAX_LENGTHS.author * 3);
   }
-  
+  // Identifiers: { id, value, scheme, unique }; the id ties a row to the
+  // element it was read from
+  if (Array.isArray(metadata.identifiers)) {
+    sanitized.identifiers = metadata.identifiers.slice(0, 50)
+      .filter(i => i && typeof i === 'object')
+      .map(i => ({
+        id: /^[A-Za-z_][\w.-]*$/.test(i.id ?? '') ? i.id : '',
+        // URNs and DOIs run longer than an ISBN
+        value: sanitizeString(i.value, MAX_LENGTHS.identifier * 4),
+        scheme: sanitizeString(i.scheme, 50),
+        unique: i.unique === true
+      }))
+      .filter(i => i.value);
+    // The ISBN field is checked above
+    for (const row of sanitized.identifiers) {
+      const isbn = row.scheme === 'ISBN' ? parseISBN(row.value) : null;
+      if (isbn && !isbn.valid && cleanISBN(row.value) !== cleanISBN(sanitized.identifier)) {
+        warnings.push(`ISBN ${row.value} has a wrong check digit; it should end in ${isbn.expectedCheckDigit}`);
+      }
+    }
+    if (sanitized.identifiers.length === 0) {
+      warnings.push('An EPUB needs an identifier, so the identifiers were left as they were');
+      delete sanitized.identifiers;
+    }
+  }
+
   // Handle subjects array
   if (Array.isArray(metadata.subjects)) {
     sanitized.subjects = metadata.subjects
@@ -128,16 +254,98 @@ function validateMetadata(metadata) {
   
   // Handle authors array
   if (Array.isArray(metadata.authors)) {
-    sanitized.authors = metadata.authors.slice(0, 20).map(author => {
-      if (typeof author === 'string') {
-        return { name: sanitizeString(author, MAX_LENGTHS.author) };
+    sanitized.authors = sanitizePeople(metadata.authors, warnings);
+  }
+
+  // Accessibility: terms from the schema.org vocabularies; an
+  // accessModeSufficient term is a comma-separated set of access modes
+  const terms = (field, isTerm) => {
+    if (!Array.isArray(metadata[field])) return;
+    sanitized[field] = [];
+    for (const value of metadata[field].slice(0, 50)) {
+      const term = sanitizeString(value, 100).replace(/\s+/g, '');
+      if (isTerm(term)) {
+        sanitized[field].push(term);
+      } else if (term) {
+        warnings.push(`"${term}" is not an ${field} value and was left out`);
+      }
+    }
+  };
+  terms('accessMode', term => ACCESS_MODES.includes(term));
+  terms('accessModeSufficient', term => term.split(',').every(mode => SUFFICIENT_ACCESS_MODES.includes(mode)));
+  terms('accessibilityFeature', term => ACCESSIBILITY_FEATURES.includes(term));
+  terms('accessibilityHazard', term => ACCESSIBILITY_HAZARDS.includes(term));
+  if (metadata.accessibilitySummary !== undefined) {
+    sanitized.accessibilitySummary = sanitizeString(metadata.accessibilitySummary, MAX_LENGTHS.accessibilitySummary);
+  }
+  if (metadata.conformsTo !== undefined) {
+    sanitized.conformsTo = sanitizeString(metadata.conformsTo, MAX_LENGTHS.conformsTo);
+  }
+  if (metadata.certifiedBy !== undefined) {
+    sanitized.certifiedBy = sanitizeString(metadata.certifiedBy, MAX_LENGTHS.publisher);
+  }
+
+  // Rendition: one value from each vocabulary, "" to remove it
+  const choice = (field, values) => {
+    if (metadata[field] === undefined) return;
+    const value = sanitizeString(metadata[field], 50);
+    if (!value || values.includes(value)) {
+      sanitized[field] = value;
+    } else {
+      warnings.push(`"${value}" is not a ${field} value and was left unchanged`);
+    }
+  };
+  choice('layout', LAYOUTS);
+  choice('orientation', ORIENTATIONS);
+  choice('spread', SPREADS);
+  choice('pageProgression', PAGE_PROGRESSIONS);
+  choice('appleFixedLayout', ['true', 'false']);
+  choice('appleOpenToSpread', ['true', 'false']);
+  choice('appleOrientationLock', ORIENTATION_LOCKS);
+
+  // Custom metadata: { index, form, property, refines, scheme, value }; the
+  // index ties an entry to the element it was read from
+  if (Array.isArray(metadata.customMeta)) {
+    const qualifiedName = /^[A-Za-z_][\w.-]*(:[\w.-]+)?$/;
+    sanitized.customMeta = [];
+    for (const entry of metadata.customMeta.slice(0, 500)) {
+      if (!entry || typeof entry !== 'object') continue;
+      const form = entry.form === 'name' ? 'name' : 'property';
+      const property = sanitizeString(entry.property, 200);
+      const scheme = sanitizeString(entry.scheme, 200);
+      const value = sanitizeString(entry.value, MAX_LENGTHS.description);
+      if (!property) continue;
+      const index = Number.isInteger(entry.index) && entry.index >= 0 ? entry.index : undefined;
+      const original = (session.originalMeta?.customMeta || []).find(e => e.index === index);
+      // EPUB 3 can't write a prefix nobody declared (EPUB 2 has no prefixes);
+      // what the book already had is its own business
+      const undeclared = Array.isArray(session.prefixes) && form === 'property'
+        ? [property, scheme]
+          .filter(name => name && name !== original?.property && name !== original?.scheme)
+          .map(name => name.match(/^([^:]+):/)?.[1])
+          .find(prefix => prefix && !session.prefixes.includes(prefix))
+        : undefined;
+      if (!qualifiedName.test(property) || (scheme && !qualifiedName.test(scheme))) {
+        warnings.push(`"${property}" is not a valid meta ${form} and was left out`);
+      } else if (isManagedMeta({ form, property })) {
+        warnings.push(`${property} is edited in its own field, so the custom entry was left out`);
+      } else if (form === 'property' && !value) {
+        warnings.push(`${property} has no value and was left out`);
+      } else if (undeclared) {
+        // An entry read from the book stays as it was rather than being deleted
+        if (original) sanitized.customMeta.push(original);
+        warnings.push(`The ${undeclared}: prefix isn't declared in the book, so ${property} was ${original ? 'left unchanged' : 'left out'}`);
+      } else {
+        sanitized.customMeta.push({
+          index,
+          form,
+          property,
+          refines: sanitizeString(entry.refines, 200).replace(/\s+/g, ''),
+          scheme,
+          value
+        });
       }
-      return {
-        name: sanitizeString(author.name, MAX_LENGTHS.author),
-        role: sanitizeString(author.role || 'aut', 20),
-        fileAs: author.fileAs ? sanitizeString(author.fileAs, MAX_LENGTHS.author) : null
-      };
-    }).filter(a => a.name);
+    }
   }
   
   return { valid: true, metadata: sanitized, warnings };
@@ -191,6 +399,60 @@ setInterval(cleanupExpiredSessions, 60 * 1000);
 /**
  * Upload EPUB → extract metadata + cover
  */
+/**
+ * What the editor needs to show one rendition of a book
+ */
+async function describeEpub(epub) {
+  const meta = {
+    ...extractMetadata(epub.meta, epub.opf.package.$?.["unique-identifier"]),
+    ...readRendition(epub.opf.package),
+    ...await readDisplayOptions(epub.zip, XML_LIMITS)
+  };
+
+  // Store original metadata for undo/reset
+  const originalMeta = { ...meta };
+
+  // Extract cover image (a protected book's cover is usually encrypted too)
+  const cover = epub.drm ? null : await getCoverImage(epub.zip, epub.opf, epub.opfPath);
+
+  // Prepare warnings array
+  const warnings = [];
+  if (meta.languageWarning) {
+    warnings.push(meta.languageWarning);
+  }
+  if (meta.languageConverted) {
+    warnings.push(`Language code normalized: "${meta.languageConverted}" → "${meta.language}"`);
+  }
+  for (const conflict of meta.seriesConflicts) {
+    warnings.push(`${conflict}. The EPUB 3 value is shown; saving brings the selected series formats in line with it.`);
+  }
+  if (epub.drm) {
+    warnings.push(`This book is protected with ${epub.drm.name}. Its metadata is shown read-only: saving changes would stop it from opening in the reading apps it was bought for.`);
+  }
+  const obfuscated = obfuscatedResources(epub.encryption);
+  if (obfuscated.length > 0) {
+    warnings.push(`${obfuscated.length} embedded font(s) are obfuscated with the book's identifier; they are re-keyed automatically if you change it`);
+  }
+  if (await displayOptionsError(epub.zip, XML_LIMITS)) {
+    warnings.push("Apple's display options file (META-INF/com.apple.ibooks.display-options.xml) can't be read, so its options are not shown and it is saved as it is");
+  }
+
+  return {
+    meta,
+    originalMeta,
+    cover,
+    // Where the title and authors are repeated, for the change preview
+    navigation: epub.drm ? null : await readNavigationTitles(epub.zip, epub.opf, epub.opfPath),
+    // Only worth a picker when there is more than one
+    renditions: epub.renditions.length > 1 ? epub.renditions : undefined,
+    rendition: epub.rendition,
+    version: epub.opf.package.$?.version || "3.0",
+    // What custom metadata can use (EPUB 2 has no prefixes to declare)
+    prefixes: String(epub.opf.package.$?.version || "3.0").startsWith("2") ? undefined : availablePrefixes(epub.opf.package),
+    warnings: warnings.length > 0 ? warnings : undefined
+  };
+}
+
 app.post("/upload", async (req, reply) => {
   try {
     const file = await req.file();
@@ -209,47 +471,90 @@ app.post("/upload", async (req, reply) => {
 
     const buffer = await file.toBuffer();
     const epub = await readEpub(buffer);
-    const meta = extractMetadata(epub.meta);
-    
-    // Store original metadata for undo/reset
-    const originalMeta = { ...meta };
-    
-    // Extract cover image
-    const cover = await getCoverImage(epub.zip, epub.opf, epub.opfPath);
+    const view = await describeEpub(epub);
+    const report = await validateEpub(buffer);
 
     // Generate session ID and store data
     const sessionId = crypto.randomUUID();
     sessions.set(sessionId, {
       buffer,
-      epub,
-      originalMeta,
+      rendition: epub.rendition,
+      originalMeta: view.originalMeta,
+      prefixes: view.prefixes,
+      report,
       filename: file.filename,
       createdAt: Date.now()  // Track session creation time (Part 2B)
     });
 
-    // Prepare warnings array
-    const warnings = [];
-    if (meta.languageWarning) {
-      warnings.push(meta.languageWarning);
-    }
-    if (meta.languageConverted) {
-      warnings.push(`Language code normalized: "${meta.languageConverted}" → "${meta.language}"`);
-    }
-
     reply.send({ 
       sessionId,
-      meta, 
-      originalMeta,
-      cover,
+      ...view,
       filename: file.filename,
-      warnings: warnings.length > 0 ? warnings : undefined
+      report,
+      drm: epub.drm ? { scheme: epub.drm.scheme, name: epub.drm.name } : undefined
     });
   } catch (err) {
+    if (err.code === "FST_REQ_FILE_TOO_LARGE") {
+      reply.code(413).send({ error: "The file is larger than the 50 MB upload limit" });
+      return;
+    }
+    // Broken files are the client's problem: say what is wrong with them
+    if (err instanceof EpubError) {
+      const tooBig = err.code === EPUB_ERRORS.TOO_LARGE || err.code === EPUB_ERRORS.TOO_MANY_ENTRIES;
+      reply.code(tooBig ? 413 : 422).send({
+        error: err.message,
+        code: err.code,
+        details: err.details
+      });
+      return;
+    }
     console.error("UPLOAD ERROR:", err);
     reply.code(500).send({ error: "Failed to read EPUB" });
   }
 });
 
+/**
+ * Switch the editor to another rendition (package document) of the book
+ */
+app.post("/rendition", async (req, reply) => {
+  try {
+    const { sessionId, rendition } = req.body || {};
+
+    if (!sessionId || !sessions.has(sessionId)) {
+      reply.code(400).send({ error: "Invalid session" });
+      return;
+    }
+    if (!Number.isInteger(rendition) || rendition < 0) {
+      reply.code(400).send({ error: "Invalid rendition" });
+      return;
+    }
+
+    const session = sessions.get(sessionId);
+    let epub;
+    try {
+      epub = await readEpub(session.buffer, { rendition });
+    } catch (err) {
+      if (!(err instanceof RangeError)) throw err;
+      reply.code(400).send({ error: "Invalid rendition" });
+      return;
+    }
+
+    const view = await describeEpub(epub);
+    session.rendition = rendition;
+    session.originalMeta = view.originalMeta;
+    session.prefixes = view.prefixes;
+
+    reply.send(view);
+  } catch (err) {
+    if (err instanceof EpubError) {
+      reply.code(422).send({ error: err.message, code: err.code, details: err.details });
+      return;
+    }
+    console.error("RENDITION ERROR:", err);
+    reply.code(500).send({ error: "Failed to load rendition" });
+  }
+});
+
 /**
  * Reset metadata to original
  */
@@ -417,14 +722,14 @@ app.post("/fetch-cover", async (req, reply) => {
  */
 app.post("/normalize", async (req, reply) => {
   try {
-    const { metadata } = req.body;
+    const { metadata, generateFileAs } = req.body;
     
     if (!metadata) {
       reply.code(400).send({ error: "Metadata required" });
       return;
     }
 
-    const normalized = normalizeMetadata(metadata);
+    const normalized = normalizeMetadata(metadata, { generateFileAs: generateFileAs === true });
     
     // Extract warnings if any
     const warnings = normalized._warnings;
@@ -437,6 +742,29 @@ app.post("/normalize", async (req, reply) => {
   }
 });
 
+/**
+ * Suggest accessibility metadata from the book's content
+ */
+app.post("/accessibility", async (req, reply) => {
+  try {
+    const { sessionId } = req.body || {};
+
+    if (!sessionId || !sessions.has(sessionId)) {
+      reply.code(400).send({ error: "Invalid session" });
+      return;
+    }
+
+    const session = sessions.get(sessionId);
+    const epub = await readEpub(session.buffer, { rendition: session.rendition });
+    const { notes, ...suggestions } = suggestAccessibility(await scanAccessibility(epub.zip, epub.opf, epub.opfPath));
+
+    reply.send({ suggestions, warnings: notes.length > 0 ? notes : undefined });
+  } catch (err) {
+    console.error("ACCESSIBILITY ERROR:", err);
+    reply.code(500).send({ error: "Failed to scan the book" });
+  }
+});
+
 /**
  * Validate language code
  */
@@ -489,6 +817,218 @@ app.post("/optimize-cover", async (req, reply) => {
 /**
  * Download cleaned EPUB
  */
+/**
+ * writeEpub options from a /download or /validate request body
+ */
+function writeOptions(body) {
+  return {
+    allRenditions: !!body.allRenditions,
+    syncToc: !!body.syncToc,
+    syncPageTitles: !!body.syncPageTitles,
+    seriesFormats: Array.isArray(body.seriesFormats)
+      ? body.seriesFormats.filter(format => SERIES_FORMATS.includes(format))
+      : undefined
+  };
+}
+
+/**
+ * Build the edited EPUB for a session
+ * Starts from the session's book every time (the upload, or the last OPF
+ * saved in the source editor), so repeated downloads and /validate
+ * previews don't build on each other's edits
+ */
+async function renderEpub(session, metadata, cover, coverChanged, options = {}) {
+  const epub = await readEpub(session.buffer, { rendition: session.rendition });
+
+  // Prepare cover buffer if cover was changed
+  let coverBuffer = null;
+  if (coverChanged && cover) {
+    coverBuffer = Buffer.from(cover, 'base64');
+    
+    // Optimize the cover
+    coverBuffer = await optimizeCover(coverBuffer, {
+      maxWidth: 1600,
+      maxHeight: 2400,
+      quality: 90,
+      convertToJpeg: true
+    });
+  }
+
+  // Write updated EPUB with sanitized metadata (Task 1)
+  return writeEpub(
+    epub.zip,
+    epub.opfPath,
+    epub.opf,
+    metadata,
+    coverBuffer,
+    options
+  );
+}
+
+/**
+ * EPUB conformance report
+ * Returns the report for the session's book (made at upload, or again after
+ * the source editor replaced its package) and, when metadata is sent, the
+ * report for the EPUB that /download would produce from it; issues that only
+ * appear in the latter were introduced by the edits
+ */
+app.post("/validate", async (req, reply) => {
+  try {
+    const { sessionId, metadata, cover, coverChanged } = req.body || {};
+
+    if (!sessionId || !sessions.has(sessionId)) {
+      reply.code(400).send({ error: "Invalid session" });
+      return;
+    }
+    const session = sessions.get(sessionId);
+
+    session.report = session.report || await validateEpub(session.buffer);
+    let output;
+    if (metadata) {
+      const validation = validateMetadata(metadata, session);
+      if (!validation.valid) {
+        reply.code(400).send({ error: validation.error });
+        return;
+      }
+      const buffer = await renderEpub(session, validation.metadata, cover, coverChanged, writeOptions(req.body));
+      output = await validateEpub(buffer);
+    }
+
+    reply.send({ original: session.report, output });
+  } catch (err) {
+    if (err instanceof EpubError) {
+      reply.code(422).send({ error: err.message, code: err.code, details: err.details });
+      return;
+    }
+    console.error("VALIDATE ERROR:", err);
+    reply.code(500).send({ error: "Failed to check EPUB" });
+  }
+});
+
+// Problems that keep the source editor's OPF from being read at all
+const UNREADABLE_PACKAGE = [EPUB_ERRORS.INVALID_OPF, EPUB_ERRORS.MISSING_METADATA, EPUB_ERRORS.XML_LIMIT];
+
+/**
+ * Source editor: the package document as /download would write it with
+ * the pending form edits, and its report. That rendering is kept as the
+ * session's draft, which edited source is checked against and saved into.
+ */
+app.post("/opf", async (req, reply) => {
+  try {
+    const { sessionId, metadata, cover, coverChanged } = req.body || {};
+
+    if (!sessionId || !sessions.has(sessionId)) {
+      reply.code(400).send({ error: "Invalid session" });
+      return;
+    }
+    const session = sessions.get(sessionId);
+    const validation = validateMetadata(metadata, session);
+    if (!validation.valid) {
+      reply.code(400).send({ error: validation.error });
+      return;
+    }
+
+    session.draft = await renderEpub(session, validation.metadata, cover, coverChanged, writeOptions(req.body));
+    const draft = await readEpub(session.draft, { rendition: session.rendition });
+    const opf = await draft.zip.file(draft.opfPath).async("string");
+
+    reply.send({
+      path: draft.opfPath,
+      opf,
+      report: await validatePackageSource(draft, opf),
+      warnings: validation.warnings.length > 0 ? validation.warnings : undefined
+    });
+  } catch (err) {
+    if (err instanceof EpubError) {
+      reply.code(422).send({ error: err.message, code: err.code, details: err.details });
+      return;
+    }
+    console.error("OPF ERROR:", err);
+    reply.code(500).send({ error: "Failed to load the package document" });
+  }
+});
+
+/**
+ * Check edited package source against the draft
+ */
+app.post("/opf/check", async (req, reply) => {
+  try {
+    const { sessionId, opf } = req.body || {};
+
+    if (!sessionId || !sessions.has(sessionId)) {
+      reply.code(400).send({ error: "Invalid session" });
+      return;
+    }
+    const session = sessions.get(sessionId);
+    if (!session.draft) {
+      reply.code(400).send({ error: "Open the package document first" });
+      return;
+    }
+
+    const draft = await readEpub(session.draft, { rendition: session.rendition });
+    reply.send(await validatePackageSource(draft, String(opf ?? "")));
+  } catch (err) {
+    if (err instanceof EpubError) {
+      reply.code(422).send({ error: err.message, code: err.code, details: err.details });
+      return;
+    }
+    console.error("OPF CHECK ERROR:", err);
+    reply.code(500).send({ error: "Failed to check the package document" });
+  }
+});
+
+/**
+ * Save edited package source into the draft, which becomes the session's
+ * book; the response refills the form from it like /upload
+ * Source that can't be read as a package is refused; other problems are
+ * reported and left to the user.
+ */
+app.post("/opf/save", async (req, reply) => {
+  try {
+    const { sessionId, opf } = req.body || {};
+
+    if (!sessionId || !sessions.has(sessionId)) {
+      reply.code(400).send({ error: "Invalid session" });
+      return;
+    }
+    const session = sessions.get(sessionId);
+    if (!session.draft) {
+      reply.code(400).send({ error: "Open the package document first" });
+      return;
+    }
+    if (typeof opf !== "string" || !opf.trim()) {
+      reply.code(400).send({ error: "The package document is empty" });
+      return;
+    }
+
+    const draft = await readEpub(session.draft, { rendition: session.rendition });
+    const report = await validatePackageSource(draft, opf);
+    const unreadable = report.errors.find(e => UNREADABLE_PACKAGE.includes(e.code));
+    if (unreadable) {
+      reply.code(422).send({ error: `The package document can't be read: ${unreadable.message}`, report });
+      return;
+    }
+
+    const buffer = await writePackageSource(draft.zip, draft.opfPath, opf);
+    const view = await describeEpub(await readEpub(buffer, { rendition: session.rendition }));
+    session.buffer = buffer;
+    session.originalMeta = view.originalMeta;
+    session.prefixes = view.prefixes;
+    // The upload's report is about a package that is gone
+    delete session.report;
+    delete session.draft;
+
+    reply.send({ ...view, report });
+  } catch (err) {
+    if (err instanceof EpubError) {
+      reply.code(422).send({ error: err.message, code: err.code, details: err.details });
+      return;
+    }
+    console.error("OPF SAVE ERROR:", err);
+    reply.code(500).send({ error: "Failed to save the package document" });
+  }
+});
+
 app.post("/download", async (req, reply) => {
   try {
     const { sessionId, metadata, cover, coverChanged } = req.body;
@@ -498,17 +1038,17 @@ app.post("/download", async (req, reply) => {
       return;
     }
 
+    const session = sessions.get(sessionId);
+    const { filename } = session;
+
     // Validate and sanitize metadata (Task 1)
-    const validation = validateMetadata(metadata);
+    const validation = validateMetadata(metadata, session);
     if (!validation.valid) {
       reply.code(400).send({ error: validation.error });
       return;
     }
     const sanitizedMetadata = validation.metadata;
 
-    const session = sessions.get(sessionId);
-    const { epub, filename } = session;
-
     // Generate smart filename: Title (YYYY) - Author.epub
     let downloadFilename = filename;
     
@@ -527,28 +1067,7 @@ app.post("/download", async (req, reply) => {
         : `${title} - ${author}.epub`;
     }
 
-    // Prepare cover buffer if cover was changed
-    let coverBuffer = null;
-    if (coverChanged && cover) {
-      coverBuffer = Buffer.from(cover, 'base64');
-      
-      // Optimize the cover
-      coverBuffer = await optimizeCover(coverBuffer, {
-        maxWidth: 1600,
-        maxHeight: 2400,
-        quality: 90,
-        convertToJpeg: true
-      });
-    }
-
-    // Write updated EPUB with sanitized metadata (Task 1)
-    const output = await writeEpub(
-      epub.zip,
-      epub.opfPath,
-      epub.opf,
-      sanitizedMetadata,
-      coverBuffer
-    );
+    const output = await renderEpub(session, sanitizedMetadata, cover, coverChanged, writeOptions(req.body));
 
     // Keep the session alive so the user can tweak and re-download;
     // the periodic cleanup removes it after the normal 30-minute timeout.
@@ -557,6 +1076,10 @@ app.post("/download", async (req, reply) => {
       .header("Content-Disposition", `attachment; filename="${downloadFilename}"`)
       .send(output);
   } catch (err) {
+    if (err instanceof EpubError) {
+      reply.code(422).send({ error: err.message, code: err.code, details: err.details });
+      return;
+    }
     console.error("DOWNLOAD ERROR:", err);
     reply.code(500).send({ error: "Failed to create EPUB" });
   }
@@ -0,0 +1,149 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import JSZip from "jszip";
+import { readEpub, writeEpub, extractMetadata } from "../epub.js";
+import { parseXml, serializeXml } from "../xml.js";
+
+const OPF3 = `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="uid">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="uid">urn:uuid:0b7c3b8e-6a0f-4a43-9d55-0d0f5b1e2c11</dc:identifier>
+    <dc:title>People</dc:title>
+    <dc:creator id="a">Ann Able</dc:creator>
+    <meta refines="#a" property="file-as">Able, Ann</meta>
+    <meta refines="#a" property="display-seq">1</meta>
+    <!-- the illustrator -->
+    <dc:creator id="b">Bob Baker</dc:creator>
+    <meta refines="#b" property="role" scheme="marc:relators">ill</meta>
+    <meta refines="#b" property="display-seq">2</meta>
+    <dc:language>en</dc:language>
+    <dc:creator id="c">Cat Cole</dc:creator>
+    <meta refines="#c" property="file-as">Cole, Cat</meta>
+    <meta refines="#c" property="display-seq">3</meta>
+    <meta property="dcterms:modified">2020-01-01T00:00:00Z</meta>
+  </metadata>
+  <manifest>
+    <item id="c1" href="c1.xhtml" media-type="application/xhtml+xml"/>
+  </manifest>
+  <spine>
+    <itemref idref="c1"/>
+  </spine>
+</package>
+`;
+
+const OPF2 = `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="2.0" unique-identifier="uid">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:opf="http://www.idpf.org/2007/opf">
+    <dc:identifier id="uid">urn:uuid:0b7c3b8e-6a0f-4a43-9d55-0d0f5b1e2c12</dc:identifier>
+    <dc:title>People</dc:title>
+    <dc:creator opf:file-as="Able, Ann">Ann Able</dc:creator>
+    <dc:creator opf:role="ill">Bob Baker</dc:creator>
+    <dc:language>en</dc:language>
+    <dc:creator>Cat Cole</dc:creator>
+  </metadata>
+  <manifest>
+    <item id="c1" href="c1.xhtml" media-type="application/xhtml+xml"/>
+  </manifest>
+  <spine>
+    <itemref idref="c1"/>
+  </spine>
+</package>
+`;
+
+async function makeEpub(opf) {
+  const zip = new JSZip();
+  zip.file("mimetype", "application/epub+zip", { compression: "STORE" });
+  zip.file("META-INF/container.xml", `<?xml version="1.0"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>`);
+  zip.file("OEBPS/content.opf", opf);
+  zip.file("OEBPS/c1.xhtml", '<html xmlns="http://www.w3.org/1999/xhtml"><head><title>1</title></head><body/></html>');
+  return zip.generateAsync({ type: "nodebuffer" });
+}
+
+/**
+ * Save `authors` (edited from the ones the book has) and read the book back
+ */
+async function saveAuthors(opf, edit) {
+  const epub = await readEpub(await makeEpub(opf));
+  const authors = extractMetadata(epub.meta, "uid").authors;
+  const output = await writeEpub(epub.zip, epub.opfPath, epub.opf, { authors: edit(authors) });
+  const saved = await readEpub(output);
+  return {
+    authors: extractMetadata(saved.meta, "uid").authors,
+    opf: await saved.zip.file(saved.opfPath).async("string")
+  };
+}
+
+const summary = (authors) => authors.map(a => `${a.name}|${a.role}|${a.fileAs ?? ""}`);
+
+test("reordered creators keep the new order with their refinements", async () => {
+  const { authors, opf } = await saveAuthors(OPF3, ([ann, bob, cat]) => [cat, ann, bob]);
+  assert.deepEqual(summary(authors), ["Cat Cole|aut|Cole, Cat", "Ann Able|aut|Able, Ann", "Bob Baker|ill|"]);
+  // display-seq follows the new order
+  assert.match(opf, /refines="#c" property="display-seq">1</);
+  assert.match(opf, /refines="#a" property="display-seq">2</);
+  assert.match(opf, /refines="#b" property="display-seq">3</);
+  // The creators stay where the file had them
+  assert.ok(opf.indexOf("<!-- the illustrator -->") < opf.indexOf(">Ann Able<"));
+  assert.ok(opf.indexOf("<dc:language>") < opf.indexOf(">Bob Baker<"));
+});
+
+test("a renamed creator keeps its id and role", async () => {
+  const { authors, opf } = await saveAuthors(OPF3, ([ann, bob, cat]) => [ann, { ...bob, name: "Robert Baker" }, cat]);
+  assert.deepEqual(summary(authors), ["Ann Able|aut|Able, Ann", "Robert Baker|ill|", "Cat Cole|aut|Cole, Cat"]);
+  assert.match(opf, /<dc:creator id="b">Robert Baker<\/dc:creator>/);
+});
+
+test("a deleted creator takes its refinements along", async () => {
+  const { authors, opf } = await saveAuthors(OPF3, ([ann, , cat]) => [ann, cat]);
+  assert.deepEqual(summary(authors), ["Ann Able|aut|Able, Ann", "Cat Cole|aut|Cole, Cat"]);
+  assert.doesNotMatch(opf, /Bob Baker|refines="#b"/);
+});
+
+test("EPUB 2 creators move with their opf: attributes", async () => {
+  const { authors, opf } = await saveAuthors(OPF2, ([ann, bob, cat]) => [bob, cat, ann]);
+  assert.deepEqual(summary(authors), ["Bob Baker|ill|", "Cat Cole|aut|", "Ann Able|aut|Able, Ann"]);
+  assert.match(opf, /<dc:creator opf:role="ill">Bob Baker<\/dc:creator>/);
+  assert.match(opf, /<dc:creator opf:file-as="Able, Ann">Ann Able<\/dc:creator>/);
+});
+
+test("EPUB 2 creators can be renamed and deleted", async () => {
+  const { authors } = await saveAuthors(OPF2, ([ann, , cat]) => [{ ...cat, name: "Catherine Cole" }, ann]);
+  assert.deepEqual(summary(authors), ["Catherine Cole|aut|", "Ann Able|aut|Able, Ann"]);
+});
+
+test("reordered elements take the places of the originals", () => {
+  const text = `<list>
+  <item id="a">A</item>
+  <!-- between -->
+  <item id="b">B</item>
+  <other/>
+  <item id="c">C</item>
+</list>
+`;
+  const doc = parseXml(text);
+  const [a, b, c] = doc.list.item;
+  doc.list.item = [c, a, b];
+  assert.equal(serializeXml(doc), `<list>
+  <item id="c">C</item>
+  <!-- between -->
+  <item id="a">A</item>
+  <other/>
+  <item id="b">B</item>
+</list>
+`);
+
+  // Dropped and replaced elements: the rest still fill the places in order
+  doc.list.item = [c, { $: { id: "b" }, _: "Bee" }];
+  assert.equal(serializeXml(doc), `<list>
+  <!-- between -->
+  <item id="c">C</item>
+  <other/>
+  <item id="b">Bee</item>
+</list>
+`);
+});
@@ -0,0 +1,49 @@
+/**
+ * Title sorting (file-as) by the book's language
+ *
+ * Libraries file "The Hobbit" under H: the leading article isn't dropped
+ * but moved to the end, "Hobbit, The". Only the first word can move, and
+ * only when it is an article of the book's language, looked up by the
+ * primary subtag of dc:language; English articles are used when the
+ * language is missing or has no list here. Elided articles move the same
+ * way ("Étranger, L'"); a title that is nothing but an article stays as it is.
+ */
+
+const ARTICLES = {
+  en: ["the", "a", "an"],
+  de: ["der", "die", "das", "ein", "eine"],
+  fr: ["le", "la", "les", "l'", "un", "une"],
+  es: ["el", "la", "los", "las", "un", "una", "unos", "unas"],
+  it: ["il", "lo", "la", "i", "gli", "le", "l'", "un", "uno", "una", "un'"],
+  pt: ["o", "a", "os", "as", "um", "uma"],
+  nl: ["de", "het", "een", "'t"],
+  nb: ["en", "ei", "et", "den", "det", "de"],
+  nn: ["ein", "ei", "eit", "den", "det", "dei"],
+  sv: ["en", "ett", "den", "det", "de"],
+  da: ["en", "et", "den", "det", "de"]
+};
+// Norwegian without the written standard
+ARTICLES.no = ARTICLES.nb;
+
+// Apostrophes as typed and as typeset
+const APOSTROPHE = /[’ʼ]/g;
+
+/**
+ * Generate the file-as for a title in the given language
+ * Returns the title unchanged when it doesn't start with one of the
+ * language's articles (English ones for an unknown language)
+ */
+export function titleSortName(title, language = "") {
+  const clean = String(title ?? "").replace(/\s+/g, " ").trim();
+  const articles = ARTICLES[String(language).toLowerCase().split("-")[0]] ?? ARTICLES.en;
+
+  const lower = clean.toLowerCase().replace(APOSTROPHE, "'");
+  for (const article of articles) {
+    const elided = article.endsWith("'");
+    if (!lower.startsWith(elided ? article : `${article} `)) continue;
+    const rest = clean.slice(article.length).trim();
+    if (!rest) continue;
+    return `${rest}, ${clean.slice(0, article.length).trim()}`;
+  }
+  return clean;
+}
@@ -0,0 +1,407 @@
+import path from "path";
+import { readEpub, readEncryption, parsePackage, resolveHref, sniffImageType, collectIds, EpubError, XML_LIMITS } from "./epub.js";
+import { obfuscationKeys, xorObfuscation, looksLikeFont, isObfuscation } from "./obfuscation.js";
+import { readIdentifiers } from "./identifiers.js";
+import { parseISBN } from "./isbn.js";
+import {
+  readRendition, readDisplayOptions, displayOptionsError, renditionElements, itemLayout, declaredPrefix,
+  LAYOUTS, ORIENTATIONS, SPREADS, PAGE_PROGRESSIONS, RENDITION_URI, DISPLAY_OPTIONS_PATH
+} from "./rendition.js";
+import { usedPrefixes, RESERVED_PREFIXES } from "./custommeta.js";
+
+/**
+ * Expected media types by file extension (first entry is the preferred one).
+ * Older tools wrote the legacy font types, so those are accepted as well.
+ */
+const MEDIA_TYPES = {
+  xhtml: ["application/xhtml+xml"],
+  html: ["application/xhtml+xml"],
+  htm: ["application/xhtml+xml"],
+  css: ["text/css"],
+  ncx: ["application/x-dtbncx+xml"],
+  jpg: ["image/jpeg"],
+  jpeg: ["image/jpeg"],
+  png: ["image/png"],
+  gif: ["image/gif"],
+  webp: ["image/webp"],
+  svg: ["image/svg+xml"],
+  ttf: ["font/ttf", "application/x-font-ttf", "application/font-sfnt", "application/x-font-truetype"],
+  otf: ["font/otf", "application/vnd.ms-opentype", "application/font-sfnt", "application/x-font-opentype"],
+  woff: ["font/woff", "application/font-woff"],
+  woff2: ["font/woff2"],
+  js: ["application/javascript", "text/javascript", "application/ecmascript"],
+  smil: ["application/smil+xml"],
+  mp3: ["audio/mpeg"],
+  mp4: ["audio/mp4", "video/mp4"],
+  m4a: ["audio/mp4"],
+  pls: ["application/pls+xml"],
+  xpgt: ["application/vnd.adobe-page-template+xml"]
+};
+
+const error = (code, message, location) => ({ severity: "error", code, message, location });
+const warning = (code, message, location) => ({ severity: "warning", code, message, location });
+
+/**
+ * Inspect the first local file header of the archive.
+ * OCF requires `mimetype` to be the first entry, STORED, without extra field
+ * tricks, so that `application/epub+zip` sits at a fixed offset for sniffers.
+ */
+function checkMimetype(buffer, issues) {
+  if (buffer.length < 30 || buffer.readUInt32LE(0) !== 0x04034B50) {
+    issues.push(error("mimetype_not_first", "The archive does not start with a file entry, so the mimetype file cannot be first"));
+    return;
+  }
+  const method = buffer.readUInt16LE(8);
+  const nameLength = buffer.readUInt16LE(26);
+  const extraLength = buffer.readUInt16LE(28);
+  const name = buffer.toString("utf8", 30, 30 + nameLength);
+  if (name !== "mimetype") {
+    issues.push(error("mimetype_not_first", `The first file in the archive is "${name}"; it must be "mimetype"`, name));
+    return;
+  }
+  if (method !== 0) {
+    issues.push(error("mimetype_compressed", "The mimetype file is compressed; it must be stored uncompressed", "mimetype"));
+    return;
+  }
+  const dataStart = 30 + nameLength + extraLength;
+  const content = buffer.toString("latin1", dataStart, dataStart + 20);
+  if (content !== "application/epub+zip") {
+    issues.push(error("mimetype_content", 'The mimetype file must contain exactly "application/epub+zip"', "mimetype"));
+  }
+  if (extraLength > 0) {
+    issues.push(warning("mimetype_extra_field", "The mimetype entry has an extra header field, which some readers fail to sniff", "mimetype"));
+  }
+}
+
+/**
+ * Run a subset of epubcheck-style conformance checks on an EPUB buffer
+ * Returns { valid, errors, warnings } where each issue is
+ * { severity, code, message, location? }; valid means "no errors"
+ */
+export async function validateEpub(buffer) {
+  const issues = [];
+
+  checkMimetype(buffer, issues);
+
+  let epub;
+  try {
+    epub = await readEpub(buffer);
+  } catch (err) {
+    if (!(err instanceof EpubError)) throw err;
+    issues.push(error(err.code, err.message, err.details));
+    return buildReport(issues);
+  }
+
+  const { zip, drm } = epub;
+  if (drm) {
+    issues.push(warning("drm_protected", `The book is protected with ${drm.name}; encrypted content can't be checked`, drm.details));
+  }
+
+  // container.xml: the rootfile must declare the OPF media type
+  const containerXml = await zip.file("META-INF/container.xml").async("string");
+  if (!/media-type\s*=\s*["']application\/oebps-package\+xml["']/.test(containerXml)) {
+    issues.push(warning("rootfile_media_type", 'The rootfile in container.xml should have media-type="application/oebps-package+xml"', "META-INF/container.xml"));
+  }
+
+  // Each rendition has its own package document
+  for (let i = 0; i < epub.renditions.length; i++) {
+    let rendition = epub;
+    if (i > 0) {
+      try {
+        rendition = await readEpub(buffer, { rendition: i });
+      } catch (err) {
+        if (!(err instanceof EpubError)) throw err;
+        issues.push(error(err.code, err.message, err.details));
+        continue;
+      }
+    }
+    await checkPackage(rendition, issues);
+  }
+
+  // Fonts are obfuscated with the default rendition's identifiers
+  await checkObfuscatedFonts(zip, epub.opf, issues);
+  await checkDisplayOptions(zip, epub.opf, issues);
+
+  return buildReport(issues);
+}
+
+/**
+ * Check edited package source (the raw OPF editor) against the book it
+ * is to replace the package of: well-formedness, required elements and
+ * references, as checkPackage() sees them
+ * `epub` is a readEpub() result.
+ */
+export async function validatePackageSource(epub, opfXml) {
+  const issues = [];
+  let opf;
+  try {
+    opf = parsePackage(opfXml, epub.opfPath);
+  } catch (err) {
+    if (!(err instanceof EpubError)) throw err;
+    // The details say where the source breaks
+    issues.push(error(err.code, err.details || err.message, epub.opfPath));
+    return buildReport(issues);
+  }
+  await checkPackage({ ...epub, opf, meta: opf.package.metadata[0] }, issues);
+  return buildReport(issues);
+}
+
+/**
+ * Checks on one package document: metadata, IDs, manifest and spine
+ */
+async function checkPackage(epub, issues) {
+  const { zip, opfPath, opf, meta } = epub;
+  const pkg = opf.package;
+  const version = pkg.$?.version || "";
+  const isEpub3 = version.startsWith("3");
+
+  if (!version) {
+    issues.push(error("package_version", "The <package> element has no version attribute", opfPath));
+  }
+
+  // Required metadata
+  const hasText = (key) => (meta[key] || []).some(v => (typeof v === "string" ? v : v?._ || "").trim());
+  if (!hasText("dc:title")) {
+    issues.push(error("title_missing", "The EPUB has no dc:title", opfPath));
+  }
+  if (!hasText("dc:identifier")) {
+    issues.push(error("identifier_missing", "The EPUB has no dc:identifier", opfPath));
+  }
+  if (!hasText("dc:language")) {
+    issues.push(error("language_missing", "The EPUB has no dc:language", opfPath));
+  }
+
+  // unique-identifier must point at a dc:identifier
+  const uniqueId = pkg.$?.["unique-identifier"];
+  if (!uniqueId) {
+    issues.push(error("unique_identifier_missing", "The <package> element has no unique-identifier attribute", opfPath));
+  } else if (!(meta["dc:identifier"] || []).some(i => i?.$?.id === uniqueId)) {
+    issues.push(error("unique_identifier_invalid", `unique-identifier="${uniqueId}" does not match the id of any dc:identifier`, opfPath));
+  }
+
+  // An ISBN with a wrong check digit won't match the book in any catalogue
+  for (const identifier of readIdentifiers(meta, uniqueId)) {
+    const isbn = identifier.scheme === "ISBN" ? parseISBN(identifier.value) : null;
+    if (isbn && !isbn.valid) {
+      issues.push(warning("isbn_check_digit", `The ISBN "${identifier.value}" has a wrong check digit; it should end in ${isbn.expectedCheckDigit}`, opfPath));
+    }
+  }
+
+  if (isEpub3) {
+    const modified = (meta.meta || []).filter(m => m?.$?.property === "dcterms:modified" && !m.$.refines);
+    if (modified.length === 0) {
+      issues.push(error("modified_missing", "EPUB 3 requires a dcterms:modified meta element", opfPath));
+    } else if (modified.length > 1) {
+      issues.push(error("modified_duplicate", "There is more than one dcterms:modified meta element", opfPath));
+    } else if (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}Z$/.test(modified[0]._ || "")) {
+      issues.push(error("modified_format", `dcterms:modified "${modified[0]._ || ""}" must be in the form CCYY-MM-DDThh:mm:ssZ`, opfPath));
+    }
+  }
+
+  // Duplicate ids anywhere in the OPF
+  const seen = new Set();
+  for (const id of collectIds(pkg)) {
+    if (seen.has(id)) {
+      issues.push(error("duplicate_id", `The id "${id}" is used more than once`, opfPath));
+    }
+    seen.add(id);
+  }
+
+  // Refinements must point at an element of the package
+  for (const m of meta.meta || []) {
+    const refines = m?.$?.refines;
+    if (refines?.startsWith("#") && !seen.has(refines.slice(1))) {
+      issues.push(error("refines_missing", `A ${m.$.property || "meta"} refinement points at "${refines}", which is not the id of any element`, opfPath));
+    }
+  }
+
+  // Manifest
+  const manifest = pkg.manifest?.[0]?.item || [];
+  if (manifest.length === 0) {
+    issues.push(error("manifest_empty", "The manifest lists no items", opfPath));
+  }
+  const manifestIds = new Set();
+  for (const item of manifest) {
+    const { id, href, "media-type": mediaType } = item?.$ || {};
+    if (!id || !href || !mediaType) {
+      issues.push(error("manifest_item_incomplete", `Manifest item ${id ? `"${id}" ` : ""}is missing its id, href or media-type`, opfPath));
+    }
+    if (id) manifestIds.add(id);
+    if (!href || /^[a-z][a-z0-9+.-]*:/i.test(href)) continue; // remote resources
+
+    const entryPath = resolveHref(opfPath, href);
+    const entry = zip.file(entryPath);
+    if (!entry) {
+      issues.push(error("manifest_href_missing", `Manifest item "${id || href}" points to ${entryPath}, which is not in the archive`, entryPath));
+      continue;
+    }
+    if (!mediaType) continue;
+
+    if (mediaType.startsWith("image/") && mediaType !== "image/svg+xml") {
+      const actual = sniffImageType(await entry.async("nodebuffer"));
+      if (actual && actual !== mediaType) {
+        issues.push(error("media_type_mismatch", `${entryPath} is declared as ${mediaType} but contains ${actual} data`, entryPath));
+        continue;
+      }
+    }
+    const expected = MEDIA_TYPES[path.posix.extname(entryPath).slice(1).toLowerCase()];
+    if (expected && !expected.includes(mediaType)) {
+      issues.push(warning("media_type_mismatch", `${entryPath} is declared as ${mediaType}; expected ${expected[0]} for this file extension`, entryPath));
+    }
+  }
+
+  if (isEpub3 && !manifest.some(item => item?.$?.properties?.split(/\s+/).includes("nav"))) {
+    issues.push(error("nav_missing", 'EPUB 3 requires a navigation document (manifest item with properties="nav")', opfPath));
+  }
+
+  // Spine
+  const spine = pkg.spine?.[0];
+  const itemrefs = spine?.itemref || [];
+  if (itemrefs.length === 0) {
+    issues.push(error("spine_empty", "The spine lists no content documents", opfPath));
+  }
+  for (const itemref of itemrefs) {
+    const idref = itemref?.$?.idref;
+    if (!manifestIds.has(idref)) {
+      issues.push(error("spine_idref_missing", `Spine itemref "${idref ?? ""}" does not match any manifest item`, opfPath));
+    }
+  }
+  const toc = spine?.$?.toc;
+  if (toc && !manifestIds.has(toc)) {
+    issues.push(error("spine_toc_missing", `Spine toc="${toc}" does not match any manifest item`, opfPath));
+  } else if (!isEpub3 && !toc) {
+    issues.push(error("spine_toc_missing", "EPUB 2 requires a toc attribute on the spine pointing at the NCX", opfPath));
+  }
+
+  const cover = (meta.meta || []).find(m => m?.$?.name === "cover")?.$?.content;
+  if (cover && !manifestIds.has(cover)) {
+    issues.push(warning("cover_reference", `The cover meta points at "${cover}", which is not a manifest item`, opfPath));
+  }
+
+  // Prefixed properties need their prefix declared unless it is reserved
+  if (isEpub3) {
+    for (const prefix of usedPrefixes(pkg)) {
+      if (!RESERVED_PREFIXES.includes(prefix) && !declaredPrefix(pkg, prefix)) {
+        issues.push(error("prefix_undeclared", `The prefix "${prefix}" is used in the package but not declared in its prefix attribute`, opfPath));
+      }
+    }
+  }
+
+  if (isEpub3) await checkRendition(epub, issues);
+}
+
+/**
+ * EPUB 3 rendition properties: known values, one of each, the reserved
+ * prefix, and a viewport for every fixed-layout page
+ */
+async function checkRendition(epub, issues) {
+  const { zip, opfPath, opf, drm } = epub;
+  const pkg = opf.package;
+  const meta = pkg.metadata?.[0] || {};
+  const rendition = readRendition(pkg);
+
+  const vocabularies = [
+    ["layout", "rendition:layout", LAYOUTS],
+    ["orientation", "rendition:orientation", ORIENTATIONS],
+    ["spread", "rendition:spread", SPREADS]
+  ];
+  for (const [field, property, values] of vocabularies) {
+    const elements = renditionElements(meta, property);
+    if (elements.length > 1) {
+      issues.push(error("rendition_duplicate", `There is more than one ${property} meta element`, opfPath));
+    }
+    if (rendition[field] && !values.includes(rendition[field])) {
+      issues.push(error("rendition_value", `${property} "${rendition[field]}" is not one of ${values.join(", ")}`, opfPath));
+    }
+  }
+  if (rendition.spread === "portrait") {
+    issues.push(warning("rendition_deprecated", 'rendition:spread "portrait" is deprecated; use "both"', opfPath));
+  }
+  if (rendition.pageProgression && !PAGE_PROGRESSIONS.includes(rendition.pageProgression)) {
+    issues.push(error("rendition_value", `page-progression-direction "${rendition.pageProgression}" is not one of ${PAGE_PROGRESSIONS.join(", ")}`, opfPath));
+  }
+
+  const declared = declaredPrefix(pkg, "rendition");
+  if (declared && declared !== RENDITION_URI) {
+    issues.push(error("rendition_prefix", `The rendition prefix is bound to ${declared}; it must be ${RENDITION_URI}`, opfPath));
+  }
+
+  // Fixed-layout XHTML pages need their size in a viewport meta (SVG pages
+  // have a viewBox); encrypted pages can't be read
+  if (drm) return;
+  const manifest = new Map((pkg.manifest?.[0]?.item || []).map(item => [item?.$?.id, item?.$]));
+  for (const itemref of pkg.spine?.[0]?.itemref || []) {
+    const item = manifest.get(itemref?.$?.idref);
+    if (!item?.href || item["media-type"] !== "application/xhtml+xml") continue;
+    if (itemLayout(itemref, rendition.layout) !== "pre-paginated") continue;
+    const entryPath = resolveHref(opfPath, item.href);
+    const file = zip.file(entryPath);
+    if (!file) continue;
+    const content = await file.async("string");
+    const viewport = content.match(/<meta\b[^>]*\bname\s*=\s*["']viewport["'][^>]*>/i)?.[0] || "";
+    const size = viewport.match(/\bcontent\s*=\s*["']([^"']*)["']/i)?.[1] || "";
+    if (!/\bwidth\s*=\s*\d/.test(size) || !/\bheight\s*=\s*\d/.test(size)) {
+      issues.push(error("fixed_layout_viewport", `${entryPath} is a fixed-layout page without a viewport meta giving its width and height`, entryPath));
+    }
+  }
+}
+
+/**
+ * Apple's display options should be readable and agree with the default
+ * rendition's layout
+ */
+async function checkDisplayOptions(zip, opf, issues) {
+  if (!zip.file(DISPLAY_OPTIONS_PATH)) return;
+  const unreadable = await displayOptionsError(zip, XML_LIMITS);
+  if (unreadable) {
+    issues.push(warning("display_options_invalid", "Apple's display options file cannot be read, so Apple Books may ignore it", `${DISPLAY_OPTIONS_PATH}: ${unreadable}`));
+    return;
+  }
+  const options = await readDisplayOptions(zip, XML_LIMITS);
+  const isEpub3 = (opf.package.$?.version || "").startsWith("3");
+  const { layout } = readRendition(opf.package);
+  if (isEpub3 && options.appleFixedLayout === "true" && layout !== "pre-paginated") {
+    issues.push(warning("display_options_layout", "Apple's display options make the book fixed-layout, but its rendition:layout is not pre-paginated", DISPLAY_OPTIONS_PATH));
+  } else if (isEpub3 && options.appleFixedLayout === "false" && layout === "pre-paginated") {
+    issues.push(warning("display_options_layout", "The book is pre-paginated, but Apple's display options turn fixed-layout off", DISPLAY_OPTIONS_PATH));
+  }
+}
+
+/**
+ * Obfuscated fonts must come out as fonts when de-obfuscated with the key
+ * derived from the current identifiers
+ */
+async function checkObfuscatedFonts(zip, opf, issues) {
+  let encryption;
+  try {
+    encryption = await readEncryption(zip);
+  } catch (err) {
+    issues.push(error("encryption_invalid", "META-INF/encryption.xml cannot be read", `META-INF/encryption.xml: ${err.message}`));
+    return;
+  }
+
+  const keys = obfuscationKeys(opf);
+  for (const { path: entryPath, algorithm } of encryption) {
+    if (!isObfuscation(algorithm)) continue;
+
+    const file = zip.file(entryPath);
+    if (!file) {
+      issues.push(error("encrypted_resource_missing", `encryption.xml lists ${entryPath}, which is not in the archive`, entryPath));
+      continue;
+    }
+    const key = keys[algorithm];
+    if (!key) {
+      issues.push(error("font_obfuscation_key", `${entryPath} is obfuscated, but the identifier its key comes from is missing`, entryPath));
+      continue;
+    }
+    if (!looksLikeFont(xorObfuscation(await file.async("nodebuffer"), key, algorithm))) {
+      issues.push(error("font_obfuscation_key", `${entryPath} does not de-obfuscate with the book's identifier; readers will not be able to use this font`, entryPath));
+    }
+  }
+}
+
+function buildReport(issues) {
+  const errors = issues.filter(i => i.severity === "error");
+  const warnings = issues.filter(i => i.severity === "warning");
+  return { valid: errors.length === 0, errors, warnings };
+}
@@ -0,0 +1,776 @@
+/**
+ * Position-preserving XML parsing and minimal-diff serialisation
+ *
+ * xml2js throws away everything that isn't element data (comments, processing
+ * instructions, attribute order, namespace declarations, whitespace), so
+ * re-serialising a parsed OPF rewrites the whole file. parseXml() returns the
+ * same object shape the rest of the code already works with (xml2js defaults:
+ * arrays for children, `$` for attributes, `_` for text) but remembers where
+ * every element came from in the source text. serializeXml() then patches only
+ * the elements whose data actually changed and copies everything else through
+ * byte-for-byte.
+ *
+ * Names can be resolved by namespace URI instead of by literal prefix: with
+ * `elements`/`attributes` maps ({ uri: canonicalPrefix }) a `<d:title>` whose
+ * `d` is bound to Dublin Core shows up under the same key as `<dc:title>`, and
+ * new elements are written with whatever prefix the document declares.
+ */
+
+// Hidden link from a parsed object back to its source node
+const SOURCE = Symbol("xmlSource");
+
+// Hidden document info (source text, root node) on the object parseXml returns
+const DOCUMENT = Symbol("xmlDocument");
+
+const DEFAULT_INDENT = "  ";
+
+/**
+ * Thrown when a document breaks one of the caller's limits (maxSize, maxDepth,
+ * doctype) rather than being malformed
+ */
+export class XmlLimitError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "XmlLimitError";
+  }
+}
+
+/**
+ * Escape text content for XML output
+ */
+export function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+/**
+ * Escape an attribute value for XML output (double-quoted)
+ */
+export function escapeAttr(value) {
+  return escapeXml(value).replace(/"/g, "&quot;");
+}
+
+/**
+ * Decode the predefined and numeric character references.
+ * Unknown entities are left as written.
+ */
+function decodeEntities(text) {
+  if (!text.includes("&")) return text;
+  return text.replace(/&(#x[0-9a-fA-F]+|#\d+|lt|gt|amp|quot|apos);/g, (match, ref) => {
+    switch (ref) {
+      case "lt": return "<";
+      case "gt": return ">";
+      case "amp": return "&";
+      case "quot": return '"';
+      case "apos": return "'";
+    }
+    const code = ref[1] === "x" ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+    try {
+      return String.fromCodePoint(code);
+    } catch {
+      return match;
+    }
+  });
+}
+
+function lineAt(text, pos) {
+  let line = 1;
+  for (let i = 0; i < pos && i < text.length; i++) {
+    if (text.charCodeAt(i) === 10) line++;
+  }
+  return line;
+}
+
+const ATTR_RE = /(\s+)([^\s=/>]+)\s*=\s*("([^"]*)"|'([^']*)')/y;
+const TAG_END_RE = /\s*(\/?)>/y;
+const NAME_RE = /[^\s/>]+/y;
+const CLOSE_RE = /<\/([^\s>]+)\s*>/y;
+
+/**
+ * Tokenize XML text into a tree of nodes that keep their source offsets
+ */
+function parseNodes(text, options) {
+  const fail = (message, pos) => {
+    throw new Error(`Malformed XML: ${message} (line ${lineAt(text, pos)})`);
+  };
+  const refuse = (message, pos) => {
+    throw new XmlLimitError(`${message} (line ${lineAt(text, pos)})`);
+  };
+
+  if (text.length > options.maxSize) {
+    throw new XmlLimitError(`Document is larger than ${options.maxSize} characters`);
+  }
+
+  const documentNode = { type: "document", children: [] };
+  const stack = [documentNode];
+  const top = () => stack[stack.length - 1];
+  let i = 0;
+
+  const addText = (start, end, value, cdata = false) => {
+    top().children.push({ type: "text", start, end, value, cdata });
+  };
+
+  while (i < text.length) {
+    const lt = text.indexOf("<", i);
+    if (lt === -1) {
+      addText(i, text.length, decodeEntities(text.slice(i)));
+      break;
+    }
+    if (lt > i) {
+      addText(i, lt, decodeEntities(text.slice(i, lt)));
+    }
+
+    if (text.startsWith("<!--", lt)) {
+      const end = text.indexOf("-->", lt + 4);
+      if (end === -1) fail("unterminated comment", lt);
+      top().children.push({ type: "comment", start: lt, end: end + 3 });
+      i = end + 3;
+      continue;
+    }
+
+    if (text.startsWith("<![CDATA[", lt)) {
+      const end = text.indexOf("]]>", lt + 9);
+      if (end === -1) fail("unterminated CDATA section", lt);
+      addText(lt, end + 3, text.slice(lt + 9, end), true);
+      i = end + 3;
+      continue;
+    }
+
+    if (text.startsWith("<?", lt)) {
+      const end = text.indexOf("?>", lt + 2);
+      if (end === -1) fail("unterminated processing instruction", lt);
+      top().children.push({ type: "pi", start: lt, end: end + 2 });
+      i = end + 2;
+      continue;
+    }
+
+    if (text.startsWith("<!", lt)) {
+      if (options.doctype === false) refuse("DOCTYPE declarations are not allowed", lt);
+
+      // DOCTYPE, possibly with an internal subset in [ ... ]
+      let depth = 0;
+      let j = lt + 2;
+      for (; j < text.length; j++) {
+        const ch = text[j];
+        if (ch === "[") depth++;
+        else if (ch === "]") depth--;
+        else if (ch === ">" && depth <= 0) break;
+      }
+      if (j >= text.length) fail("unterminated declaration", lt);
+      // An internal subset can declare entities that expand exponentially;
+      // a bare external DTD reference is harmless since nothing is fetched
+      if (options.doctype === "external" && text.slice(lt, j).includes("[")) {
+        refuse("entity declarations (internal DTD subset) are not allowed", lt);
+      }
+      top().children.push({ type: "doctype", start: lt, end: j + 1 });
+      i = j + 1;
+      continue;
+    }
+
+    if (text[lt + 1] === "/") {
+      CLOSE_RE.lastIndex = lt;
+      const match = CLOSE_RE.exec(text);
+      if (!match) fail("invalid closing tag", lt);
+      const open = top();
+      if (open.type !== "element" || open.name !== match[1]) {
+        fail(`unexpected closing tag </${match[1]}>`, lt);
+      }
+      open.closeStart = lt;
+      open.end = lt + match[0].length;
+      stack.pop();
+      i = open.end;
+      continue;
+    }
+
+    // Start tag
+    NAME_RE.lastIndex = lt + 1;
+    const nameMatch = NAME_RE.exec(text);
+    if (!nameMatch) fail("invalid start tag", lt);
+
+    const node = {
+      type: "element",
+      name: nameMatch[0],
+      attrs: [],
+      start: lt,
+      children: [],
+      parent: top()
+    };
+
+    let pos = NAME_RE.lastIndex;
+    for (;;) {
+      ATTR_RE.lastIndex = pos;
+      const attr = ATTR_RE.exec(text);
+      if (!attr) break;
+      const name = attr[2];
+      if (node.attrs.some(a => a.name === name)) fail(`duplicate attribute "${name}"`, pos);
+      node.attrs.push({
+        name,
+        value: decodeEntities(attr[4] ?? attr[5]),
+        raw: attr[0]
+      });
+      pos = ATTR_RE.lastIndex;
+    }
+
+    TAG_END_RE.lastIndex = pos;
+    const tagEnd = TAG_END_RE.exec(text);
+    if (!tagEnd) fail(`invalid attribute syntax in <${node.name}>`, pos);
+    node.tagTail = tagEnd[0];
+    node.openEnd = TAG_END_RE.lastIndex;
+    node.selfClosing = tagEnd[1] === "/";
+
+    top().children.push(node);
+    if (node.selfClosing) {
+      node.closeStart = node.openEnd;
+      node.end = node.openEnd;
+    } else {
+      stack.push(node);
+      if (stack.length - 1 > options.maxDepth) {
+        refuse(`elements are nested more than ${options.maxDepth} levels deep`, lt);
+      }
+    }
+    i = node.openEnd;
+  }
+
+  if (stack.length > 1) {
+    const open = top();
+    fail(`unclosed element <${open.name}>`, open.start);
+  }
+
+  const roots = documentNode.children.filter(n => n.type === "element");
+  if (roots.length !== 1) {
+    fail(roots.length ? "more than one root element" : "no root element", text.length);
+  }
+  for (const n of documentNode.children) {
+    if (n.type === "text" && /\S/.test(n.value)) fail("text outside the root element", n.start);
+  }
+
+  return { documentNode, root: roots[0] };
+}
+
+function elementChildren(node) {
+  return node.children.filter(n => n.type === "element");
+}
+
+/**
+ * Element children with flattened wrapper elements expanded in place
+ */
+function contentChildren(node, options) {
+  return elementChildren(node).flatMap(child =>
+    options.flatten.includes(child.key) ? contentChildren(child, options) : [child]
+  );
+}
+
+function splitName(qname) {
+  const colon = qname.indexOf(":");
+  return colon === -1
+    ? { prefix: "", local: qname }
+    : { prefix: qname.slice(0, colon), local: qname.slice(colon + 1) };
+}
+
+/**
+ * Canonical key for an element or attribute name, based on the namespace
+ * its prefix is bound to. Names outside the mapped namespaces keep their
+ * literal qualified name.
+ */
+function canonicalName(qname, scope, options, attribute) {
+  const { prefix, local } = splitName(qname);
+  // Unprefixed attributes have no namespace; xml: and xmlns: are reserved
+  if (attribute && (!prefix || prefix === "xml" || prefix === "xmlns")) return qname;
+
+  const map = attribute ? options.attributes : options.elements;
+  const uri = scope.get(prefix);
+  if (uri === undefined || !Object.hasOwn(map, uri)) return qname;
+
+  const name = options.lowercase.includes(uri) ? local.toLowerCase() : local;
+  return map[uri] ? `${map[uri]}:${name}` : name;
+}
+
+/**
+ * Record namespace scope and canonical keys on every element
+ */
+function resolveNames(node, options, parentScope) {
+  const scope = new Map(parentScope);
+  for (const attr of node.attrs) {
+    if (attr.name === "xmlns") scope.set("", attr.value);
+    else if (attr.name.startsWith("xmlns:")) scope.set(attr.name.slice(6), attr.value);
+  }
+
+  node.scope = scope;
+  node.key = canonicalName(node.name, scope, options, false);
+  for (const attr of node.attrs) {
+    attr.key = canonicalName(attr.name, scope, options, true);
+  }
+  for (const child of elementChildren(node)) {
+    resolveNames(child, options, scope);
+  }
+}
+
+/**
+ * Convert a node into the xml2js shape (explicitArray, `$` and `_` keys)
+ */
+function toObject(node, options, link) {
+  const obj = {};
+  if (node.attrs.length > 0) {
+    obj.$ = {};
+    for (const attr of node.attrs) obj.$[attr.key] = attr.value;
+  }
+
+  let text = "";
+  for (const child of node.children) {
+    if (child.type === "text") text += child.value;
+  }
+  for (const child of contentChildren(node, options)) {
+    (obj[child.key] = obj[child.key] || []).push(toObject(child, options, link));
+  }
+  // Like xml2js, whitespace-only text isn't kept
+  if (/\S/.test(text)) obj._ = text;
+
+  const keys = Object.keys(obj);
+  if (keys.length === 0) return "";
+  if (keys.length === 1 && keys[0] === "_") return text;
+
+  if (link) Object.defineProperty(obj, SOURCE, { value: node });
+  return obj;
+}
+
+/**
+ * The original (pre-edit) value of a node, computed once
+ */
+function originalValue(ctx, node) {
+  if (!node.original) node.original = toObject(node, ctx.options, false);
+  return node.original;
+}
+
+function resolveOptions(options = {}) {
+  return {
+    elements: options.elements || {},
+    attributes: options.attributes || {},
+    lowercase: options.lowercase || [],
+    flatten: options.flatten || [],
+    maxSize: options.maxSize ?? Infinity,
+    maxDepth: options.maxDepth ?? Infinity,
+    doctype: options.doctype ?? true
+  };
+}
+
+/**
+ * Parse XML text into the xml2js object shape, keeping source positions
+ * so serializeXml() can write back a minimal diff.
+ *
+ * Options:
+ * - elements / attributes: { namespaceURI: canonicalPrefix } - names in these
+ *   namespaces are keyed by the canonical prefix ("" = unprefixed) whatever
+ *   prefix the document uses
+ * - lowercase: namespace URIs whose local names are lower-cased
+ * - flatten: keys of wrapper elements whose children are treated as
+ *   children of the wrapper's parent
+ * - maxSize / maxDepth: reject documents longer than maxSize characters or
+ *   nested deeper than maxDepth elements (XmlLimitError)
+ * - doctype: false rejects any DOCTYPE; "external" only allows a DOCTYPE
+ *   without an internal subset, i.e. without entity declarations
+ */
+export function parseXml(text, options) {
+  const resolved = resolveOptions(options);
+  const { documentNode, root } = parseNodes(text, resolved);
+  resolveNames(root, resolved, new Map());
+
+  const doc = { [root.key]: toObject(root, resolved, true) };
+
+  Object.defineProperty(doc, DOCUMENT, {
+    value: { text, documentNode, root, options: resolved, indentUnit: detectIndentUnit(text, root) }
+  });
+  return doc;
+}
+
+/**
+ * Split a value in xml2js shape into attributes, text and child elements
+ */
+function splitValue(value) {
+  if (value === null || value === undefined) return { attrs: {}, text: "", children: {} };
+  if (typeof value !== "object") return { attrs: {}, text: String(value), children: {} };
+
+  const children = {};
+  for (const [key, child] of Object.entries(value)) {
+    if (key === "$" || key === "_") continue;
+    children[key] = Array.isArray(child) ? child : [child];
+  }
+  const text = value._ === undefined || value._ === null ? "" : String(value._);
+  return { attrs: value.$ || {}, text, children };
+}
+
+function normalizeText(text) {
+  return /\S/.test(text) ? text : "";
+}
+
+function sameAttrs(a, b) {
+  const aKeys = Object.keys(a).filter(k => a[k] !== undefined && a[k] !== null);
+  const bKeys = Object.keys(b).filter(k => b[k] !== undefined && b[k] !== null);
+  if (aKeys.length !== bKeys.length) return false;
+  return aKeys.every(k => bKeys.includes(k) && String(a[k]) === String(b[k]));
+}
+
+/**
+ * Structural equality of two values in xml2js shape
+ */
+function valuesEqual(a, b) {
+  const x = splitValue(a);
+  const y = splitValue(b);
+  if (!sameAttrs(x.attrs, y.attrs)) return false;
+  if (normalizeText(x.text) !== normalizeText(y.text)) return false;
+
+  const xKeys = Object.keys(x.children).filter(k => x.children[k].length > 0);
+  const yKeys = Object.keys(y.children).filter(k => y.children[k].length > 0);
+  if (xKeys.length !== yKeys.length) return false;
+  return xKeys.every(k => {
+    const xs = x.children[k];
+    const ys = y.children[k];
+    return ys && xs.length === ys.length && xs.every((v, i) => valuesEqual(v, ys[i]));
+  });
+}
+
+/**
+ * Key used to pair an edited entry with the original element it replaces,
+ * so e.g. a changed `<meta property="x">` is rewritten in place instead of
+ * being removed and re-added elsewhere
+ */
+function identityKey(value) {
+  const attrs = splitValue(value).attrs;
+  if (attrs.id) return `id:${attrs.id}`;
+  if (attrs.property) return `property:${attrs.property}|${attrs.refines || ""}`;
+  if (attrs.name) return `name:${attrs.name}`;
+  if (attrs.idref) return `idref:${attrs.idref}`;
+  if (attrs.href) return `href:${attrs.href}`;
+  return "";
+}
+
+/**
+ * Work out the indentation step used in the document (defaults to two spaces)
+ */
+function detectIndentUnit(text, root) {
+  const first = elementChildren(root)[0];
+  const rootIndent = lineIndent(leadingWhitespace(text, root)) ?? "";
+  const childIndent = first ? lineIndent(leadingWhitespace(text, first)) : null;
+  if (childIndent && childIndent.length > rootIndent.length) {
+    return childIndent.slice(rootIndent.length);
+  }
+  return DEFAULT_INDENT;
+}
+
+/**
+ * The whitespace-only run directly in front of an element ("\n    ")
+ */
+function leadingWhitespace(text, node) {
+  let start = node.start;
+  while (start > 0 && /[ \t\r\n]/.test(text[start - 1])) start--;
+  return text.slice(start, node.start);
+}
+
+function lineIndent(whitespace) {
+  const nl = whitespace.lastIndexOf("\n");
+  return nl === -1 ? null : whitespace.slice(nl + 1);
+}
+
+/**
+ * Qualified name to write for a canonical key, using a prefix bound in
+ * `scope` when there is one. Otherwise the namespace is declared on the
+ * element being written (added to `scope` and `decls`).
+ */
+function qualify(ctx, key, scope, decls, attribute) {
+  const { prefix, local } = splitName(key);
+  const map = attribute ? ctx.options.attributes : ctx.options.elements;
+  const uris = Object.keys(map).filter(uri => map[uri] === prefix);
+  if (uris.length === 0 || (attribute && !prefix)) return key;
+
+  if (!attribute && uris.includes(scope.get(""))) return local;
+  for (const [bound, uri] of scope) {
+    if (bound && uris.includes(uri)) return `${bound}:${local}`;
+  }
+  // Unprefixed canonical element in a document without that default namespace
+  if (!prefix) return local;
+
+  let declared = prefix;
+  for (let n = 1; scope.has(declared); n++) declared = `${prefix}${n}`;
+  scope.set(declared, uris[0]);
+  decls[`xmlns:${declared}`] = uris[0];
+  return `${declared}:${local}`;
+}
+
+/**
+ * Serialize an attribute map
+ */
+function serializeAttrs(attrs) {
+  return Object.entries(attrs)
+    .filter(([, v]) => v !== undefined && v !== null)
+    .map(([k, v]) => ` ${k}="${escapeAttr(v)}"`)
+    .join("");
+}
+
+/**
+ * Serialize a value in xml2js shape as a fresh element
+ */
+function serializeElement(ctx, key, value, indent, parentScope) {
+  const scope = new Map(parentScope);
+  const decls = {};
+  const name = qualify(ctx, key, scope, decls, false);
+
+  const { attrs, text, children } = splitValue(value);
+  const qualified = {};
+  for (const [attr, v] of Object.entries(attrs)) {
+    qualified[qualify(ctx, attr, scope, decls, true)] = v;
+  }
+
+  const open = `<${name}${serializeAttrs({ ...decls, ...qualified })}`;
+  const childKeys = Object.keys(children).filter(k => children[k].length > 0);
+
+  if (childKeys.length === 0) {
+    return text ? `${open}>${escapeXml(text)}</${name}>` : `${open}/>`;
+  }
+
+  const { unit, newline } = ctx;
+  const inner = childKeys
+    .flatMap(k => children[k].map(v => `${newline}${indent}${unit}${serializeElement(ctx, k, v, indent + unit, scope)}`))
+    .join("");
+  return `${open}>${text ? escapeXml(text) : ""}${inner}${newline}${indent}</${name}>`;
+}
+
+/**
+ * Rebuild a start tag, keeping the raw text of attributes that didn't change
+ */
+function rebuildStartTag(ctx, node, attrs, selfClosing) {
+  let out = `<${node.name}`;
+  const seen = new Set();
+
+  for (const attr of node.attrs) {
+    seen.add(attr.key);
+    const value = attrs[attr.key];
+    // Namespace declarations aren't part of the data; keep them
+    if (value === undefined || value === null) {
+      if (attr.name === "xmlns" || attr.name.startsWith("xmlns:")) out += attr.raw;
+      continue;
+    }
+    out += String(value) === attr.value
+      ? attr.raw
+      : attr.raw.replace(/=\s*("[^"]*"|'[^']*')$/, `="${escapeAttr(value)}"`);
+  }
+
+  const scope = new Map(node.scope);
+  const decls = {};
+  const added = {};
+  for (const [key, value] of Object.entries(attrs)) {
+    if (seen.has(key) || value === undefined || value === null) continue;
+    added[qualify(ctx, key, scope, decls, true)] = value;
+  }
+  out += serializeAttrs({ ...decls, ...added });
+
+  if (selfClosing === node.selfClosing) return out + node.tagTail;
+  return out + (selfClosing ? "/>" : ">");
+}
+
+/**
+ * Collect the edits needed to turn `node` into `value`
+ */
+function patchElement(ctx, node, value, indent) {
+  const original = splitValue(originalValue(ctx, node));
+  const next = splitValue(value);
+  const originalIsLeaf = elementChildren(node).length === 0;
+  const nextIsLeaf = Object.values(next.children).every(list => list.length === 0);
+
+  if (originalIsLeaf && nextIsLeaf) {
+    const textSame = normalizeText(original.text) === normalizeText(next.text);
+    const attrsSame = sameAttrs(original.attrs, next.attrs);
+    if (textSame && attrsSame) return;
+
+    if (textSame) {
+      ctx.edits.push({ start: node.start, end: node.openEnd, text: rebuildStartTag(ctx, node, next.attrs, node.selfClosing) });
+      return;
+    }
+
+    const content = normalizeText(next.text);
+    const replacement = content || !node.selfClosing
+      ? `${rebuildStartTag(ctx, node, next.attrs, false)}${escapeXml(content)}</${node.name}>`
+      : rebuildStartTag(ctx, node, next.attrs, true);
+    ctx.edits.push({ start: node.start, end: node.end, text: replacement });
+    return;
+  }
+
+  if (originalIsLeaf !== nextIsLeaf || node.selfClosing) {
+    // Shape changed (e.g. an empty <guide/> gained references): rewrite it whole
+    ctx.edits.push({ start: node.start, end: node.end, text: serializeElement(ctx, node.key, value, indent, node.parent.scope || new Map()) });
+    return;
+  }
+
+  if (!sameAttrs(original.attrs, next.attrs)) {
+    ctx.edits.push({ start: node.start, end: node.openEnd, text: rebuildStartTag(ctx, node, next.attrs, false) });
+  }
+  patchChildren(ctx, node, next.children, indent);
+}
+
+/**
+ * The text of `node` once patched into `value`, for writing it elsewhere
+ */
+function patchedText(ctx, node, value, indent) {
+  const sub = { ...ctx, edits: [] };
+  patchElement(sub, node, value, indent);
+  const edits = sub.edits.map(edit => ({ ...edit, start: edit.start - node.start, end: edit.end - node.start }));
+  return applyEdits(ctx.text.slice(node.start, node.end), edits);
+}
+
+/**
+ * Match the edited child entries of a container against its original child
+ * elements: unchanged ones are left alone, changed ones are patched in place,
+ * dropped ones are removed and new ones are inserted next to their siblings.
+ * When entries come in a new order, the elements of that name keep their
+ * places in the file and take the entries in the new order.
+ */
+function patchChildren(ctx, node, children, indent) {
+  const { text } = ctx;
+  const originals = contentChildren(node, ctx.options);
+  const childIndent = originals.length > 0
+    ? (lineIndent(leadingWhitespace(text, originals[0])) ?? indent + ctx.unit)
+    : indent + ctx.unit;
+  const indentOf = (n) => lineIndent(leadingWhitespace(text, n)) ?? childIndent;
+
+  const keys = new Set([...originals.map(n => n.key), ...Object.keys(children)]);
+  const claimed = new Set();
+  const inserts = [];
+
+  for (const key of keys) {
+    const olds = originals.filter(n => n.key === key);
+    const entries = children[key] || [];
+    const assigned = new Array(entries.length).fill(null);
+
+    const claim = (i, old) => {
+      assigned[i] = old;
+      claimed.add(old);
+    };
+
+    // 1. Entries that are still the objects we parsed
+    entries.forEach((entry, i) => {
+      const source = entry && typeof entry === "object" ? entry[SOURCE] : null;
+      if (source && olds.includes(source) && !claimed.has(source)) claim(i, source);
+    });
+
+    // 2. Entries identical to an original element
+    entries.forEach((entry, i) => {
+      if (assigned[i]) return;
+      const old = olds.find(n => !claimed.has(n) && valuesEqual(originalValue(ctx, n), entry));
+      if (old) claim(i, old);
+    });
+
+    // 3. Entries that replace an original element with the same identity
+    entries.forEach((entry, i) => {
+      if (assigned[i]) return;
+      const identity = identityKey(entry);
+      const old = olds.find(n => !claimed.has(n) && identityKey(originalValue(ctx, n)) === identity);
+      if (old) claim(i, old);
+    });
+
+    // Where each kept element's entry goes: the place of the kept element
+    // that many along in the file
+    const kept = assigned.filter(Boolean);
+    const places = [...kept].sort((a, b) => a.start - b.start);
+    const placeOf = new Map(kept.map((old, k) => [old, places[k]]));
+
+    entries.forEach((entry, i) => {
+      if (assigned[i]) {
+        const place = placeOf.get(assigned[i]);
+        if (place === assigned[i]) {
+          patchElement(ctx, place, entry, indentOf(place));
+        } else {
+          ctx.edits.push({ start: place.start, end: place.end, text: patchedText(ctx, assigned[i], entry, indentOf(place)) });
+        }
+        return;
+      }
+
+      // New element: insert after the previous entry that has a home,
+      // otherwise in front of the first original element of this name
+      let after = null;
+      for (let j = i - 1; j >= 0 && !after; j--) after = placeOf.get(assigned[j]) ?? null;
+      const before = after ? null : olds[0] ?? null;
+      inserts.push({ key, entry, after, before, order: i });
+    });
+
+    for (const old of olds) {
+      if (claimed.has(old)) continue;
+      const ws = leadingWhitespace(text, old);
+      ctx.edits.push({ start: old.start - ws.length, end: old.end, text: "" });
+    }
+  }
+
+  const nl = ctx.newline;
+
+  for (const insert of inserts) {
+    const { prefix } = splitName(insert.key);
+    // With nothing of the same name to sit next to, follow the last element
+    // of the same namespace (e.g. inside a <dc-metadata> wrapper)
+    const last = [...originals].reverse().find(n => splitName(n.key).prefix === prefix) ??
+      originals[originals.length - 1] ?? null;
+    const anchor = insert.after ?? insert.before ?? last;
+    const host = anchor ? anchor.parent : node;
+    const ownIndent = anchor ? indentOf(anchor) : childIndent;
+    const serialized = serializeElement(ctx, insert.key, insert.entry, ownIndent, host.scope);
+
+    if (insert.before) {
+      const ws = leadingWhitespace(text, insert.before);
+      const pos = insert.before.start - ws.length;
+      ctx.edits.push({ start: pos, end: pos, text: `${ws || nl + ownIndent}${serialized}`, order: insert.order });
+    } else if (anchor) {
+      ctx.edits.push({ start: anchor.end, end: anchor.end, text: `${nl}${ownIndent}${serialized}`, order: insert.order });
+    } else {
+      // Empty container: put the child on its own line before the closing tag
+      const inner = text.slice(node.openEnd, node.closeStart);
+      const pos = /^\s*$/.test(inner) && inner.includes("\n")
+        ? node.openEnd
+        : node.closeStart;
+      const tail = pos === node.closeStart ? `${nl}${indent}` : "";
+      ctx.edits.push({ start: pos, end: pos, text: `${nl}${childIndent}${serialized}${tail}`, order: insert.order });
+    }
+  }
+}
+
+/**
+ * Apply non-overlapping edits to the source text
+ */
+function applyEdits(text, edits) {
+  const sorted = edits
+    .map((edit, index) => ({ ...edit, index }))
+    .sort((a, b) => a.start - b.start || a.end - b.end || a.index - b.index);
+
+  let out = "";
+  let cursor = 0;
+  for (const edit of sorted) {
+    if (edit.start < cursor) continue; // swallowed by an earlier removal
+    out += text.slice(cursor, edit.start) + edit.text;
+    cursor = edit.end;
+  }
+  return out + text.slice(cursor);
+}
+
+/**
+ * Serialize a document in xml2js shape.
+ *
+ * Documents that came from parseXml() are written as a patch against their
+ * source text; anything else is serialized from scratch.
+ */
+export function serializeXml(doc) {
+  const info = doc[DOCUMENT];
+  const rootName = Object.keys(doc)[0];
+
+  if (!info) {
+    const ctx = { options: resolveOptions(), unit: DEFAULT_INDENT, newline: "\n" };
+    return `<?xml version="1.0" encoding="UTF-8"?>\n${serializeElement(ctx, rootName, doc[rootName], "", new Map())}\n`;
+  }
+
+  const { text, root, options, indentUnit } = info;
+  const ctx = { text, options, unit: indentUnit, newline: text.includes("\r\n") ? "\r\n" : "\n", edits: [] };
+
+  if (rootName !== root.key) {
+    ctx.edits.push({ start: root.start, end: root.end, text: serializeElement(ctx, rootName, doc[rootName], "", new Map()) });
+  } else {
+    patchElement(ctx, root, doc[rootName], "");
+  }
+
+  return applyEdits(text, ctx.edits);
+}
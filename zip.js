@@ -0,0 +1,277 @@
+import zlib from "zlib";
+import { promisify } from "util";
+
+/**
+ * Low-level ZIP reading and writing
+ *
+ * JSZip only tells us about an archive after it has loaded it, and it
+ * believes whatever sizes the headers claim. These helpers read the central
+ * directory straight from the buffer so an upload can be sized up (entry
+ * count, declared sizes, names) before anything is decompressed.
+ *
+ * JSZip also recompresses every entry when it writes; writeZip() instead
+ * copies untouched entries across byte-for-byte.
+ */
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+const DESCRIPTOR_SIGNATURE = 0x08074b50;
+
+// ZIP64 marker values in the 16/32-bit size and count fields
+const ZIP64_COUNT = 0xffff;
+const ZIP64_SIZE = 0xffffffff;
+
+// zlib.crc32() is new in Node 20.15; older versions use the table below
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(data) {
+  if (zlib.crc32) return zlib.crc32(data);
+  let crc = 0xffffffff;
+  for (const byte of data) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+const inflateRaw = promisify(zlib.inflateRaw);
+
+function zip64Error() {
+  const err = new Error("ZIP64 archives are not supported");
+  err.code = "ERR_ZIP64";
+  return err;
+}
+
+/**
+ * Find the end-of-central-directory record (it may be followed by a comment)
+ */
+function findEndOfCentralDirectory(buffer) {
+  const min = Math.max(0, buffer.length - 22 - 0xffff);
+  for (let i = buffer.length - 22; i >= min; i--) {
+    if (buffer.readUInt32LE(i) === EOCD_SIGNATURE) return i;
+  }
+  return -1;
+}
+
+/**
+ * List the entries of a ZIP archive from its central directory
+ * Returns [{ name, method, flags, crc32, compressedSize, size, localOffset,
+ * centralRecord }], centralRecord being the entry's raw directory record;
+ * throws if the directory can't be read, with code "ERR_ZIP64" for ZIP64
+ * archives (more than 65535 entries or 4 GB), which an EPUB never needs
+ */
+export function listEntries(buffer) {
+  const eocd = findEndOfCentralDirectory(buffer);
+  if (eocd === -1) {
+    throw new Error("End of central directory not found");
+  }
+
+  const count = buffer.readUInt16LE(eocd + 10);
+  const directorySize = buffer.readUInt32LE(eocd + 12);
+  const directoryOffset = buffer.readUInt32LE(eocd + 16);
+  if (count === ZIP64_COUNT || directoryOffset === ZIP64_SIZE) {
+    throw zip64Error();
+  }
+  if (directoryOffset + directorySize > eocd) {
+    throw new Error("Central directory lies outside the archive");
+  }
+
+  const entries = [];
+  let pos = directoryOffset;
+  for (let n = 0; n < count; n++) {
+    if (pos + 46 > eocd || buffer.readUInt32LE(pos) !== CENTRAL_SIGNATURE) {
+      throw new Error("Corrupt central directory");
+    }
+    const flags = buffer.readUInt16LE(pos + 8);
+    const nameLength = buffer.readUInt16LE(pos + 28);
+    const extraLength = buffer.readUInt16LE(pos + 30);
+    const commentLength = buffer.readUInt16LE(pos + 32);
+    const compressedSize = buffer.readUInt32LE(pos + 20);
+    const size = buffer.readUInt32LE(pos + 24);
+    const localOffset = buffer.readUInt32LE(pos + 42);
+
+    // Bit 11: name is UTF-8, otherwise CP437 (close enough to latin1 for checks)
+    const name = buffer.toString(flags & 0x800 ? "utf8" : "latin1", pos + 46, pos + 46 + nameLength);
+
+    if (compressedSize === ZIP64_SIZE || size === ZIP64_SIZE || localOffset === ZIP64_SIZE) {
+      throw zip64Error();
+    }
+
+    const recordLength = 46 + nameLength + extraLength + commentLength;
+    entries.push({
+      name,
+      method: buffer.readUInt16LE(pos + 10),
+      flags,
+      crc32: buffer.readUInt32LE(pos + 16),
+      compressedSize,
+      size,
+      localOffset,
+      centralRecord: buffer.subarray(pos, pos + recordLength)
+    });
+    pos += recordLength;
+  }
+  return entries;
+}
+
+/**
+ * Where an entry's compressed data starts and ends, via its local header
+ */
+function dataRange(buffer, entry) {
+  const offset = entry.localOffset;
+  if (offset + 30 > buffer.length || buffer.readUInt32LE(offset) !== LOCAL_SIGNATURE) {
+    throw new Error(`Corrupt local header for ${entry.name}`);
+  }
+  const start = offset + 30 + buffer.readUInt16LE(offset + 26) + buffer.readUInt16LE(offset + 28);
+  const end = start + entry.compressedSize;
+  if (end > buffer.length) {
+    throw new Error(`Data for ${entry.name} runs past the end of the archive`);
+  }
+  return { start, end };
+}
+
+/**
+ * The still-compressed bytes of an entry, located through its local header
+ */
+export function rawEntryData(buffer, entry) {
+  const { start, end } = dataRange(buffer, entry);
+  return buffer.subarray(start, end);
+}
+
+/**
+ * Local header, data and data descriptor of an entry, exactly as stored
+ */
+function localRecord(buffer, entry) {
+  let { end } = dataRange(buffer, entry);
+  // Bit 3: sizes and CRC follow the data, optionally behind a signature
+  if (entry.flags & 0x8) {
+    const signed = end + 4 <= buffer.length && buffer.readUInt32LE(end) === DESCRIPTOR_SIGNATURE;
+    end += signed ? 16 : 12;
+    if (end > buffer.length) {
+      throw new Error(`Data descriptor for ${entry.name} runs past the end of the archive`);
+    }
+  }
+  return buffer.subarray(entry.localOffset, end);
+}
+
+/**
+ * Decompress an entry, refusing to produce more than its declared size.
+ * This is what defeats zip bombs that lie about their uncompressed size:
+ * inflation stops as soon as the output would exceed what the header claims.
+ * Rejects with a RangeError with code "ERR_BUFFER_TOO_LARGE" in that case.
+ * Inflation runs off the event loop.
+ */
+export async function inflateEntry(buffer, entry) {
+  const data = rawEntryData(buffer, entry);
+  if (entry.method === 0) {
+    if (data.length !== entry.size) {
+      const err = new RangeError(`Stored entry ${entry.name} does not match its declared size`);
+      err.code = "ERR_BUFFER_TOO_LARGE";
+      throw err;
+    }
+    return data;
+  }
+  if (entry.method !== 8) {
+    throw new Error(`Unsupported compression method ${entry.method} for ${entry.name}`);
+  }
+  return inflateRaw(data, { maxOutputLength: Math.max(1, entry.size) });
+}
+
+/**
+ * MS-DOS date and time, the only timestamp format the base ZIP headers have
+ */
+function dosDateTime(date) {
+  const year = Math.min(Math.max(date.getFullYear(), 1980), 2107);
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Local header and central directory record for new content.
+ * Content is DEFLATEd unless `store` is set or compressing doesn't pay off
+ * (images and fonts usually are compressed already).
+ */
+function newRecords({ name, data, store = false, date = new Date() }, offset) {
+  const nameBytes = Buffer.from(name, "utf8");
+  const deflated = store ? null : zlib.deflateRawSync(data, { level: 9 });
+  const method = deflated && deflated.length < data.length ? 8 : 0;
+  const payload = method === 8 ? deflated : data;
+  const timestamp = dosDateTime(date);
+
+  // Fields shared by both headers, from "version needed" to the extra length
+  const common = Buffer.alloc(26);
+  common.writeUInt16LE(method === 8 ? 20 : 10, 0);
+  common.writeUInt16LE(/[^\x00-\x7f]/.test(name) ? 0x800 : 0, 2);
+  common.writeUInt16LE(method, 4);
+  common.writeUInt16LE(timestamp.time, 6);
+  common.writeUInt16LE(timestamp.date, 8);
+  common.writeUInt32LE(crc32(data), 10);
+  common.writeUInt32LE(payload.length, 14);
+  common.writeUInt32LE(data.length, 18);
+  common.writeUInt16LE(nameBytes.length, 22);
+
+  const localSignature = Buffer.alloc(4);
+  localSignature.writeUInt32LE(LOCAL_SIGNATURE, 0);
+
+  const central = Buffer.alloc(46);
+  central.writeUInt32LE(CENTRAL_SIGNATURE, 0);
+  central.writeUInt16LE(20, 4);
+  common.copy(central, 6);
+  // External attributes: MS-DOS directory bit for folders
+  central.writeUInt32LE(name.endsWith("/") ? 0x10 : 0, 38);
+  central.writeUInt32LE(offset, 42);
+
+  return {
+    local: Buffer.concat([localSignature, common, nameBytes, payload]),
+    central: Buffer.concat([central, nameBytes])
+  };
+}
+
+/**
+ * Build a ZIP archive, in the order given, from
+ * - { source, entry }: an entry of the `source` archive (from listEntries),
+ *   copied as-is - compressed data, timestamps, extra fields and all
+ * - { name, data, store, date }: new content for `name`
+ * Throws with code "ERR_ZIP64" if the result would need ZIP64.
+ */
+export function writeZip(items) {
+  if (items.length >= ZIP64_COUNT) {
+    throw zip64Error();
+  }
+
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const item of items) {
+    if (offset >= ZIP64_SIZE) {
+      throw zip64Error();
+    }
+    if (item.entry) {
+      const central = Buffer.from(item.entry.centralRecord);
+      central.writeUInt32LE(offset, 42);
+      locals.push(localRecord(item.source, item.entry));
+      centrals.push(central);
+    } else {
+      const { local, central } = newRecords(item, offset);
+      locals.push(local);
+      centrals.push(central);
+    }
+    offset += locals[locals.length - 1].length;
+  }
+
+  const directory = Buffer.concat(centrals);
+  if (offset + directory.length >= ZIP64_SIZE) {
+    throw zip64Error();
+  }
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(EOCD_SIGNATURE, 0);
+  eocd.writeUInt16LE(items.length, 8);
+  eocd.writeUInt16LE(items.length, 10);
+  eocd.writeUInt32LE(directory.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, eocd]);
+}